@@ -1,6 +1,8 @@
+import { GameEvent } from './EventBus.js';
+
 // Audio Manager using Web Audio API
 export class AudioManager {
-    constructor() {
+    constructor(events) {
         this.context = null;
         this.masterGain = null;
         this.sounds = {};
@@ -8,6 +10,35 @@ export class AudioManager {
         this.volume = 0.5;
         
         this.initialize();
+        this.subscribeEvents(events);
+    }
+
+    // Sounds for game events
+    subscribeEvents(events) {
+        events.onEach({
+            [GameEvent.PLAYER_BOOSTED]: () => this.playBoost(),
+            [GameEvent.GRAVITY_CHANGED]: () => this.playBoost(), // Use boost sound for mode change
+            [GameEvent.PLAYER_RECYCLED]: () => this.playRecycle(),
+            [GameEvent.PLAYER_HARVESTED]: () => this.playRecycle(),
+            [GameEvent.DEBRIS_GRABBED]: () => this.playAbsorption(0.3),
+            [GameEvent.DEBRIS_ABSORBED]: ({ mass }) => this.playAbsorption(mass),
+            [GameEvent.DEBRIS_RECYCLED]: ({ seeking }) => {
+                // Only debris that found its own way gets a sound
+                if (seeking) {
+                    this.playRecycle();
+                }
+            },
+            [GameEvent.TIER_UP]: ({ tier }) => this.playTierUp(tier),
+            [GameEvent.ACHIEVEMENT_UNLOCKED]: () => this.playAchievement(),
+            [GameEvent.MISSION_COMPLETED]: () => this.playMissionComplete(),
+            [GameEvent.BUILDING_PLACED]: () => this.playAbsorption(1), // Use absorption sound for building placement
+            [GameEvent.BUILDING_UPGRADED]: ({ building }) => this.playAbsorption(building.level),
+            [GameEvent.OXYGEN_CRITICAL]: () => this.playWarning(),
+            [GameEvent.RUN_STARTED]: () => this.startAmbient(),
+            [GameEvent.RUN_PAUSED]: () => this.pause(),
+            [GameEvent.RUN_RESUMED]: () => this.resume(),
+            [GameEvent.RUN_STOPPED]: () => this.stopAmbient()
+        });
     }
 
     initialize() {
@@ -277,6 +308,32 @@ export class AudioManager {
         });
     }
 
+    // Synthesize low oxygen alarm
+    playWarning() {
+        if (!this.enabled || !this.context) return;
+        
+        const now = this.context.currentTime;
+        
+        // Two falling beeps
+        [0, 0.2].forEach(offset => {
+            const osc = this.context.createOscillator();
+            const gainNode = this.context.createGain();
+            
+            osc.type = 'square';
+            osc.frequency.setValueAtTime(880, now + offset);
+            osc.frequency.exponentialRampToValueAtTime(660, now + offset + 0.15);
+            
+            gainNode.gain.setValueAtTime(0.08, now + offset);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, now + offset + 0.15);
+            
+            osc.connect(gainNode);
+            gainNode.connect(this.masterGain);
+            
+            osc.start(now + offset);
+            osc.stop(now + offset + 0.15);
+        });
+    }
+
     // Ambient background hum
     startAmbient() {
         if (!this.enabled || !this.context || this.ambientOsc) return;
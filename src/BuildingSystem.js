@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { SpatialGrid } from './SpatialGrid.js';
 
 /**
  * Building types available in the game
@@ -10,7 +11,9 @@ export const BuildingType = {
 };
 
 /**
- * Configuration for each building type
+ * Configuration for each building type.
+ * upgrades lists what each level past the first costs and the stats it changes
+ * (the first entry is level 2); a building's level can't go past upgrades.length + 1.
  */
 export const BUILDING_CONFIGS = {
     [BuildingType.RECYCLER]: {
@@ -20,7 +23,11 @@ export const BUILDING_CONFIGS = {
         emissive: 0x00ff88,
         radius: 8,
         effect: 'Converts nearby debris into seeds',
-        conversionRate: 0.1  // seeds per second per debris
+        conversionRate: 0.1,  // seeds per second per debris
+        upgrades: [
+            { cost: { plastic: 20, metal: 10 }, radius: 10, conversionRate: 0.15 },
+            { cost: { plastic: 35, metal: 20 }, radius: 12, conversionRate: 0.22 }
+        ]
     },
     [BuildingType.TREE]: {
         name: 'Tree',
@@ -29,7 +36,11 @@ export const BUILDING_CONFIGS = {
         emissive: 0x104010,
         radius: 12,
         effect: 'Cleans area and produces oxygen',
-        oxygenRate: 1.0  // oxygen per second
+        oxygenRate: 1.0,  // oxygen per second
+        upgrades: [
+            { cost: { seeds: 3, organic: 10 }, oxygenRate: 1.6 },
+            { cost: { seeds: 6, organic: 20 }, oxygenRate: 2.4 }
+        ]
     },
     [BuildingType.OXYGEN_GENERATOR]: {
         name: 'Oxygen Generator',
@@ -38,25 +49,58 @@ export const BUILDING_CONFIGS = {
         emissive: 0x00aaaa,
         radius: 15,
         effect: 'Generates oxygen constantly',
-        oxygenRate: 2.5  // oxygen per second
+        oxygenRate: 2.5,  // oxygen per second
+        upgrades: [
+            { cost: { metal: 30, plastic: 15 }, oxygenRate: 4 },
+            { cost: { metal: 50, plastic: 25 }, oxygenRate: 6 }
+        ]
     }
 };
 
 /**
- * BuildingSystem - Manages placeable structures in 3D space
+ * Stats of a building type at a level: { radius, conversionRate, oxygenRate }
+ */
+export function getLevelStats(type, level) {
+    const config = BUILDING_CONFIGS[type];
+    const stats = {
+        radius: config.radius,
+        conversionRate: config.conversionRate ?? 0,
+        oxygenRate: config.oxygenRate ?? 0
+    };
+
+    config.upgrades.slice(0, level - 1).forEach(({ cost, ...changes }) => Object.assign(stats, changes));
+    return stats;
+}
+
+/**
+ * How much larger a building is drawn (and picked) at a level than at level 1
+ */
+export function getLevelScale(level) {
+    return 1 + (level - 1) * 0.2;
+}
+
+/**
+ * Highest level a building type can reach
+ */
+export function getMaxLevel(type) {
+    return BUILDING_CONFIGS[type].upgrades.length + 1;
+}
+
+/**
+ * BuildingSystem - Manages placeable structures in 3D space (WorldRenderer draws them)
  */
 export class BuildingSystem {
-    constructor(scene) {
-        this.scene = scene;
+    constructor() {
         this.buildings = new Map();
+        this.grid = new SpatialGrid(20); // Buildings don't move; refreshed when the layout changes
         this.nextId = 0;
         this.minBuildingDistance = 5;  // Minimum distance between buildings
     }
 
     /**
-     * Try to place a building at a position
+     * Try to place a building at a position (rotation is its yaw in radians)
      */
-    placeBuilding(type, position) {
+    placeBuilding(type, position, rotation = 0) {
         const config = BUILDING_CONFIGS[type];
         
         if (!config) {
@@ -69,103 +113,126 @@ export class BuildingSystem {
             return null;
         }
 
-        const building = this.createBuilding(type, position);
+        const building = this.createBuilding(type, position, rotation);
         this.buildings.set(building.id, building);
-        this.scene.add(building.mesh);
+        this.grid.insert(building);
         
         return building;
     }
 
     /**
-     * Create the 3D mesh for a building
+     * Create the record for a building
      */
-    createBuilding(type, position) {
-        const config = BUILDING_CONFIGS[type];
-        let mesh;
-
-        if (type === BuildingType.TREE) {
-            // Create tree with trunk and foliage
-            const group = new THREE.Group();
-            
-            // Trunk
-            const trunk = new THREE.Mesh(
-                new THREE.CylinderGeometry(0.4, 0.5, 3, 8),
-                new THREE.MeshPhongMaterial({ 
-                    color: 0x8b4513,
-                    emissive: 0x442200,
-                    emissiveIntensity: 0.1
-                })
-            );
-            trunk.position.y = 1.5;
-            
-            // Foliage
-            const foliage = new THREE.Mesh(
-                new THREE.ConeGeometry(2.5, 5, 8),
-                new THREE.MeshPhongMaterial({ 
-                    color: config.color,
-                    emissive: config.emissive,
-                    emissiveIntensity: 0.2
-                })
-            );
-            foliage.position.y = 4.5;
-            
-            group.add(trunk);
-            group.add(foliage);
-            mesh = group;
-            
-        } else if (type === BuildingType.RECYCLER) {
-            // Recycler as rotating box
-            mesh = new THREE.Mesh(
-                new THREE.BoxGeometry(2.5, 2.5, 2.5),
-                new THREE.MeshPhongMaterial({ 
-                    color: config.color,
-                    emissive: config.emissive,
-                    emissiveIntensity: 0.3
-                })
-            );
-            
-        } else if (type === BuildingType.OXYGEN_GENERATOR) {
-            // Oxygen generator as pulsing sphere
-            mesh = new THREE.Mesh(
-                new THREE.SphereGeometry(2, 16, 16),
-                new THREE.MeshPhongMaterial({ 
-                    color: config.color,
-                    emissive: config.emissive,
-                    emissiveIntensity: 0.4,
-                    transparent: true,
-                    opacity: 0.8
-                })
-            );
-        }
-
-        mesh.position.copy(position);
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-
+    createBuilding(type, position, rotation = 0) {
         return {
             id: `building_${this.nextId++}`,
             type,
             position: position.clone(),
-            mesh,
+            rotation,
             active: true,
             level: 1,
-            config,
-            animationTime: 0
+            stats: getLevelStats(type, 1),
+            config: BUILDING_CONFIGS[type]
         };
     }
 
     /**
-     * Check if a position is valid for building
+     * Cost of taking a building to its next level, or null at the top level
      */
-    isPositionValid(position, minDistance) {
-        for (const building of this.buildings.values()) {
-            if (building.position.distanceTo(position) < minDistance) {
-                return false;
-            }
+    getUpgradeCost(building) {
+        return building.config.upgrades[building.level - 1]?.cost ?? null;
+    }
+
+    /**
+     * Raise a building one level (costs are the caller's to check); false at the top level
+     */
+    upgradeBuilding(building) {
+        if (!this.getUpgradeCost(building)) return false;
+
+        this.setLevel(building, building.level + 1);
+        return true;
+    }
+
+    setLevel(building, level) {
+        building.level = Math.min(Math.max(level, 1), getMaxLevel(building.type));
+        building.stats = getLevelStats(building.type, building.level);
+    }
+
+    /**
+     * Check if a position is valid for building (ignoring one building, e.g. the one being moved)
+     */
+    isPositionValid(position, minDistance, ignore = null) {
+        return this.getBuildingsInRange(position, minDistance).every(
+            building => building === ignore || building.position.distanceTo(position) >= minDistance
+        );
+    }
+
+    /**
+     * Move a building to a new position and rotation; false if the spot is taken
+     */
+    moveBuilding(building, position, rotation = building.rotation) {
+        if (!this.isPositionValid(position, this.minBuildingDistance, building)) {
+            return false;
         }
+
+        this.grid.remove(building);
+        building.position.copy(position);
+        building.rotation = rotation;
+        this.grid.insert(building);
         return true;
     }
 
+    /**
+     * Everything spent on a building: its cost plus the upgrades to its current level
+     */
+    getInvestment(building) {
+        const total = { ...building.config.cost };
+        building.config.upgrades.slice(0, building.level - 1).forEach(({ cost }) => {
+            Object.entries(cost).forEach(([type, amount]) => {
+                total[type] = (total[type] || 0) + amount;
+            });
+        });
+        return total;
+    }
+
+    /**
+     * Snapshot of all buildings for saving
+     */
+    serialize() {
+        return this.getBuildings().map(building => ({
+            type: building.type,
+            position: building.position.toArray(),
+            rotation: building.rotation,
+            level: building.level
+        }));
+    }
+
+    /**
+     * Replace all buildings with a saved layout (skips placement checks)
+     */
+    deserialize(data) {
+        this.clear();
+        
+        data.forEach(saved => {
+            if (!BUILDING_CONFIGS[saved.type]) return;
+            
+            const position = new THREE.Vector3().fromArray(saved.position);
+            const building = this.createBuilding(saved.type, position, saved.rotation || 0);
+            this.setLevel(building, saved.level || 1);
+            this.buildings.set(building.id, building);
+            this.grid.insert(building);
+        });
+    }
+
+    /**
+     * Remove every building (ids start over, so replayed commands name the same buildings)
+     */
+    clear() {
+        this.buildings.clear();
+        this.grid.clear();
+        this.nextId = 0;
+    }
+
     /**
      * Get all buildings
      */
@@ -180,13 +247,35 @@ export class BuildingSystem {
         return this.getBuildings().filter(b => b.type === type);
     }
 
+    /**
+     * Get a building by id
+     */
+    getBuilding(id) {
+        return this.buildings.get(id) ?? null;
+    }
+
+    /**
+     * Building nearest to a position within range, or null
+     */
+    getNearestBuilding(position, range) {
+        let nearest = null;
+        let minDistanceSq = range * range;
+
+        this.getBuildingsInRange(position, range).forEach(building => {
+            const distanceSq = building.position.distanceToSquared(position);
+            if (distanceSq < minDistanceSq) {
+                minDistanceSq = distanceSq;
+                nearest = building;
+            }
+        });
+        return nearest;
+    }
+
     /**
      * Get buildings within range of a position
      */
     getBuildingsInRange(position, range) {
-        return this.getBuildings().filter(
-            building => building.position.distanceTo(position) <= range
-        );
+        return this.grid.queryRadius(position, range);
     }
 
     /**
@@ -195,58 +284,25 @@ export class BuildingSystem {
     removeBuilding(id) {
         const building = this.buildings.get(id);
         if (building) {
-            this.scene.remove(building.mesh);
             this.buildings.delete(id);
+            this.grid.remove(building);
             return true;
         }
         return false;
     }
 
-    /**
-     * Update building animations
-     */
-    update(deltaTime) {
-        this.buildings.forEach(building => {
-            building.animationTime += deltaTime;
-            
-            if (building.type === BuildingType.RECYCLER) {
-                // Rotate recycler
-                building.mesh.rotation.y += deltaTime * 0.5;
-                building.mesh.rotation.x = Math.sin(building.animationTime) * 0.1;
-                
-            } else if (building.type === BuildingType.OXYGEN_GENERATOR) {
-                // Pulse oxygen generator
-                const scale = 1 + Math.sin(building.animationTime * 2) * 0.1;
-                building.mesh.scale.set(scale, scale, scale);
-                
-                // Update emissive intensity
-                const material = building.mesh.material;
-                material.emissiveIntensity = 0.4 + Math.sin(building.animationTime * 3) * 0.2;
-                
-            } else if (building.type === BuildingType.TREE) {
-                // Gentle sway for tree
-                const foliage = building.mesh.children[1];
-                if (foliage) {
-                    foliage.rotation.z = Math.sin(building.animationTime * 0.5) * 0.05;
-                }
-            }
-        });
-    }
-
     /**
      * Process recycler buildings - convert nearby debris to seeds
      */
-    processRecyclers(deltaTime, debrisList, resourceSystem) {
+    processRecyclers(deltaTime, debrisGrid, resourceSystem) {
         const recyclers = this.getBuildingsByType(BuildingType.RECYCLER);
         
         recyclers.forEach(recycler => {
-            const config = recycler.config;
-            const nearbyDebris = debrisList.filter(
-                debris => debris.position.distanceTo(recycler.position) <= config.radius
-            );
+            const stats = recycler.stats;
+            const nearbyCount = debrisGrid.countInRadius(recycler.position, stats.radius);
             
-            if (nearbyDebris.length > 0) {
-                const seedsGenerated = nearbyDebris.length * config.conversionRate * deltaTime;
+            if (nearbyCount > 0) {
+                const seedsGenerated = nearbyCount * stats.conversionRate * deltaTime;
                 resourceSystem.addResource('seeds', seedsGenerated);
             }
         });
@@ -260,11 +316,11 @@ export class BuildingSystem {
         const generators = this.getBuildingsByType(BuildingType.OXYGEN_GENERATOR);
         
         trees.forEach(tree => {
-            resourceSystem.addResource('oxygen', tree.config.oxygenRate * deltaTime);
+            resourceSystem.addResource('oxygen', tree.stats.oxygenRate * deltaTime);
         });
         
         generators.forEach(gen => {
-            resourceSystem.addResource('oxygen', gen.config.oxygenRate * deltaTime);
+            resourceSystem.addResource('oxygen', gen.stats.oxygenRate * deltaTime);
         });
     }
 
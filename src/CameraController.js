@@ -0,0 +1,229 @@
+import * as THREE from 'three';
+
+const CAMERA_KEY = 'gravshift_camera';
+
+/**
+ * Camera modes, in the order the camera key cycles through them
+ */
+export const CameraMode = {
+    CHASE: 'chase',
+    TACTICAL: 'tactical',
+    COCKPIT: 'cockpit',
+    FREE: 'free',
+    CINEMATIC: 'cinematic'
+};
+
+/**
+ * Per-mode tuning. transitionRate is how fast the camera glides in after switching to
+ * the mode, followRate how tightly it tracks afterwards (both exponential, per second).
+ */
+export const CAMERA_MODES = {
+    [CameraMode.CHASE]: { name: 'Chase', transitionRate: 4, followRate: 2 },
+    [CameraMode.TACTICAL]: { name: 'Tactical', transitionRate: 3, followRate: 5 },
+    [CameraMode.COCKPIT]: { name: 'Cockpit', transitionRate: 6, followRate: 30 },
+    [CameraMode.FREE]: { name: 'Free Fly', transitionRate: 8, followRate: 8 },
+    [CameraMode.CINEMATIC]: { name: 'Cinematic', transitionRate: 1.2, followRate: 1.5 }
+};
+
+/**
+ * CameraController - Places the camera for the current mode around a target (the player)
+ * and blends between modes. Orbit angles and zoom distance come from the engine, so every
+ * mode reacts to the usual camera controls.
+ * Also keeps the camera settings (whether build mode switches to the tactical view).
+ */
+export class CameraController {
+    constructor(camera) {
+        this.camera = camera;
+        this.mode = CameraMode.CHASE;
+        this.transitioning = false;
+
+        // Where the camera looks (blended like the position, so orientation glides too)
+        this.lookTarget = new THREE.Vector3();
+
+        // Free-fly camera position and speed (units per second, boost multiplies)
+        this.freePosition = new THREE.Vector3();
+        this.freeSpeed = 40;
+        this.freeBoost = 3;
+
+        // Cinematic orbit
+        this.orbitAngle = 0;
+        this.orbitSpeed = 0.15;
+
+        this.desiredPosition = new THREE.Vector3();
+        this.desiredTarget = new THREE.Vector3();
+        this.direction = new THREE.Vector3();
+
+        this.tacticalInBuildMode = true;
+        this.listeners = new Set();
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CAMERA_KEY));
+            this.tacticalInBuildMode = saved?.tacticalInBuildMode !== false;
+        } catch (e) {
+            console.warn('Failed to load camera settings:', e);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(CAMERA_KEY, JSON.stringify({ tacticalInBuildMode: this.tacticalInBuildMode }));
+        } catch (e) {
+            console.warn('Failed to save camera settings:', e);
+        }
+    }
+
+    setTacticalInBuildMode(enabled) {
+        this.tacticalInBuildMode = enabled;
+        this.save();
+        this.notifyListeners();
+    }
+
+    toggleTacticalInBuildMode() {
+        this.setTacticalInBuildMode(!this.tacticalInBuildMode);
+        return this.tacticalInBuildMode;
+    }
+
+    setMode(mode) {
+        if (!CAMERA_MODES[mode] || mode === this.mode) return;
+
+        // Free fly and the cinematic orbit start from wherever the camera is now
+        if (mode === CameraMode.FREE) {
+            this.freePosition.copy(this.camera.position);
+        } else if (mode === CameraMode.CINEMATIC) {
+            this.orbitAngle = Math.atan2(
+                this.camera.position.x - this.lookTarget.x,
+                this.camera.position.z - this.lookTarget.z
+            );
+        }
+
+        this.mode = mode;
+        this.transitioning = true;
+        this.notifyListeners();
+    }
+
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * Fly the free camera (move is { x, y, z } in camera space, as from InputManager)
+     */
+    moveFree(move, boost, angleH, deltaTime) {
+        if (this.mode !== CameraMode.FREE) return;
+
+        const speed = this.freeSpeed * (boost ? this.freeBoost : 1) * deltaTime;
+        const sin = Math.sin(angleH);
+        const cos = Math.cos(angleH);
+
+        // Forward is where the camera faces on the plane; up stays world up
+        this.freePosition.x += (move.x * cos + move.z * sin) * speed;
+        this.freePosition.z += (move.z * cos - move.x * sin) * speed;
+        this.freePosition.y += move.y * speed;
+    }
+
+    /**
+     * Move the camera towards this frame's pose for the current mode
+     * @param {THREE.Vector3} target - What the camera follows (the player, or the origin on menus)
+     * @param {{ angleH: number, angleV: number, distance: number }} view - Orbit angles and zoom
+     */
+    update(target, view, deltaTime) {
+        this.computePose(target, view, deltaTime);
+
+        const config = CAMERA_MODES[this.mode];
+        const rate = this.transitioning ? config.transitionRate : config.followRate;
+        const blend = 1 - Math.exp(-rate * deltaTime);
+
+        this.camera.position.lerp(this.desiredPosition, blend);
+        this.lookTarget.lerp(this.desiredTarget, blend);
+
+        // The glide is over once the camera has (nearly) arrived
+        if (this.transitioning && this.camera.position.distanceToSquared(this.desiredPosition) < 0.01) {
+            this.transitioning = false;
+        }
+    }
+
+    // Where the camera wants to be, and what it wants to look at, in the current mode
+    computePose(target, { angleH, angleV, distance }, deltaTime) {
+        const position = this.desiredPosition;
+        const lookAt = this.desiredTarget;
+
+        switch (this.mode) {
+            case CameraMode.TACTICAL: {
+                // High above the target, tilted slightly so "up" on screen follows the orbit angle
+                const height = distance * 2;
+                position.set(Math.sin(angleH) * height * 0.25, height, Math.cos(angleH) * height * 0.25).add(target);
+                lookAt.copy(target);
+                break;
+            }
+
+            case CameraMode.COCKPIT:
+                // From the centre of the player, facing the way the chase camera would
+                position.copy(target);
+                lookAt.copy(target).add(this.getViewDirection(angleH, angleV));
+                break;
+
+            case CameraMode.FREE:
+                position.copy(this.freePosition);
+                lookAt.copy(this.freePosition).add(this.getViewDirection(angleH, angleV));
+                break;
+
+            case CameraMode.CINEMATIC: {
+                // Slow orbit with a gentle rise and fall
+                this.orbitAngle += this.orbitSpeed * deltaTime;
+                const radius = distance * 1.2;
+                position.set(
+                    Math.sin(this.orbitAngle) * radius,
+                    radius * (0.3 + Math.sin(this.orbitAngle * 0.5) * 0.15),
+                    Math.cos(this.orbitAngle) * radius
+                ).add(target);
+                lookAt.copy(target);
+                break;
+            }
+
+            default: {
+                // Chase: behind and above the target at the orbit angles
+                const offsetX = Math.sin(angleH) * distance;
+                const offsetZ = Math.cos(angleH) * distance;
+                const offsetY = Math.sin(angleV) * distance * 0.5 + distance * 0.2;
+                position.set(offsetX, offsetY, offsetZ).add(target);
+                lookAt.copy(target);
+            }
+        }
+    }
+
+    // Unit vector the camera faces at the given orbit angles (pitching down as angleV grows)
+    getViewDirection(angleH, angleV) {
+        return this.direction.set(
+            -Math.sin(angleH) * Math.cos(angleV),
+            -Math.sin(angleV),
+            -Math.cos(angleH) * Math.cos(angleV)
+        );
+    }
+
+    getState() {
+        return {
+            mode: this.mode,
+            tacticalInBuildMode: this.tacticalInBuildMode
+        };
+    }
+
+    /**
+     * Subscribe to camera changes: callback({ mode, tacticalInBuildMode })
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+        // Immediately notify with current state
+        callback(this.getState());
+
+        // Return unsubscribe function
+        return () => this.listeners.delete(callback);
+    }
+
+    notifyListeners() {
+        const state = this.getState();
+        this.listeners.forEach(callback => callback(state));
+    }
+}
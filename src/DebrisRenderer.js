@@ -0,0 +1,160 @@
+import * as THREE from 'three';
+
+// Per-instance emissive color and roughness/metalness for the debris body shader
+const BODY_VERTEX_DECLARATIONS = `#include <common>
+attribute vec3 instanceEmissive;
+attribute vec2 instanceSurface;
+varying vec3 vInstanceEmissive;
+varying vec2 vInstanceSurface;`;
+
+const BODY_VERTEX_ASSIGNMENTS = `#include <begin_vertex>
+vInstanceEmissive = instanceEmissive;
+vInstanceSurface = instanceSurface;`;
+
+const BODY_FRAGMENT_DECLARATIONS = `#include <common>
+varying vec3 vInstanceEmissive;
+varying vec2 vInstanceSurface;`;
+
+/**
+ * DebrisRenderer - Draws all active debris with two instanced meshes (body and glow),
+ * so draw calls stay the same however much debris is out.
+ * Debris pieces are plain simulation records ({ position, rotation, scale, userData }); each frame
+ * their transform and look (userData.color, emissive, roughness...) are copied into instance buffers.
+ */
+export class DebrisRenderer {
+    constructor(scene, capacity = 128) {
+        this.scene = scene;
+        this.capacity = 0;
+        this.body = null;
+        this.glow = null;
+        this.glowVisible = true;
+        this.tempColor = new THREE.Color();
+        this.tempMatrix = new THREE.Matrix4();
+        this.tempQuaternion = new THREE.Quaternion();
+
+        this.bodyMaterial = this.createBodyMaterial();
+        this.glowGeometry = new THREE.IcosahedronGeometry(1.2, 0);
+        this.glowMaterial = new THREE.MeshBasicMaterial({
+            side: THREE.BackSide,
+            transparent: true,
+            blending: THREE.AdditiveBlending, // Instance color is pre-multiplied by the glow opacity
+            depthWrite: false
+        });
+
+        this.allocate(capacity);
+    }
+
+    createBodyMaterial() {
+        const material = new THREE.MeshStandardMaterial({ emissive: 0x000000 });
+
+        material.onBeforeCompile = (shader) => {
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', BODY_VERTEX_DECLARATIONS)
+                .replace('#include <begin_vertex>', BODY_VERTEX_ASSIGNMENTS);
+
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', BODY_FRAGMENT_DECLARATIONS)
+                .replace('#include <roughnessmap_fragment>',
+                    '#include <roughnessmap_fragment>\nroughnessFactor = vInstanceSurface.x;')
+                .replace('#include <metalnessmap_fragment>',
+                    '#include <metalnessmap_fragment>\nmetalnessFactor = vInstanceSurface.y;')
+                .replace('#include <emissivemap_fragment>',
+                    '#include <emissivemap_fragment>\ntotalEmissiveRadiance += vInstanceEmissive;');
+        };
+
+        return material;
+    }
+
+    // (Re)create the instanced meshes with room for `capacity` pieces
+    allocate(capacity) {
+        this.disposeMeshes();
+
+        const geometry = new THREE.IcosahedronGeometry(1, 0);
+        geometry.setAttribute('instanceEmissive',
+            new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('instanceSurface',
+            new THREE.InstancedBufferAttribute(new Float32Array(capacity * 2), 2).setUsage(THREE.DynamicDrawUsage));
+
+        this.body = new THREE.InstancedMesh(geometry, this.bodyMaterial, capacity);
+        this.glow = new THREE.InstancedMesh(this.glowGeometry, this.glowMaterial, capacity);
+        this.glow.visible = this.glowVisible;
+
+        [this.body, this.glow].forEach(mesh => {
+            // Create the color buffer up front so the shader is only compiled once
+            mesh.setColorAt(0, this.tempColor.set(0xffffff));
+            mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+            mesh.count = 0;
+            mesh.frustumCulled = false; // Instances spread across the whole play area
+            this.scene.add(mesh);
+        });
+
+        this.capacity = capacity;
+    }
+
+    setGlowVisible(visible) {
+        this.glowVisible = visible;
+        this.glow.visible = visible;
+    }
+
+    /**
+     * Copy the active debris into the instance buffers (call once per frame before rendering)
+     */
+    update(debrisList) {
+        const count = debrisList.length;
+        if (count > this.capacity) {
+            this.allocate(Math.max(count, this.capacity * 2));
+        }
+
+        const body = this.body;
+        const glow = this.glow;
+        const emissive = body.geometry.attributes.instanceEmissive;
+        const surface = body.geometry.attributes.instanceSurface;
+        const color = this.tempColor;
+        const matrix = this.tempMatrix;
+
+        for (let i = 0; i < count; i++) {
+            const debris = debrisList[i];
+            const data = debris.userData;
+
+            matrix.compose(debris.position, this.tempQuaternion.setFromEuler(debris.rotation), debris.scale);
+            body.setMatrixAt(i, matrix);
+            glow.setMatrixAt(i, matrix);
+
+            body.setColorAt(i, data.color);
+            color.copy(data.emissive).multiplyScalar(data.emissiveIntensity);
+            emissive.setXYZ(i, color.r, color.g, color.b);
+            surface.setXY(i, data.roughness, data.metalness);
+
+            glow.setColorAt(i, color.copy(data.color).multiplyScalar(data.glowOpacity));
+        }
+
+        body.count = count;
+        glow.count = count;
+        body.instanceMatrix.needsUpdate = true;
+        body.instanceColor.needsUpdate = true;
+        glow.instanceMatrix.needsUpdate = true;
+        glow.instanceColor.needsUpdate = true;
+        emissive.needsUpdate = true;
+        surface.needsUpdate = true;
+    }
+
+    disposeMeshes() {
+        if (!this.body) return;
+
+        this.scene.remove(this.body);
+        this.scene.remove(this.glow);
+        this.body.geometry.dispose();
+        this.body.dispose();
+        this.glow.dispose();
+        this.body = null;
+        this.glow = null;
+    }
+
+    dispose() {
+        this.disposeMeshes();
+        this.bodyMaterial.dispose();
+        this.glowGeometry.dispose();
+        this.glowMaterial.dispose();
+    }
+}
@@ -0,0 +1,138 @@
+const DISPLAY_KEY = 'gravshift_display';
+
+/**
+ * DisplayManager - Fullscreen and pointer-lock mouse look.
+ * With mouse look on, clicking the game locks the pointer and relative mouse movement
+ * is reported through onLook() instead of dragging to turn the camera.
+ */
+export class DisplayManager {
+    /**
+     * @param {HTMLElement} element - Element the pointer is locked to (the game canvas)
+     */
+    constructor(element) {
+        this.element = element;
+        this.mouseLook = false;
+        this.listeners = new Set();
+        this.lookListeners = new Set();
+
+        this.load();
+
+        document.addEventListener('fullscreenchange', () => this.notifyListeners());
+        document.addEventListener('pointerlockchange', () => this.notifyListeners());
+        document.addEventListener('pointerlockerror', () => {
+            // Usually a lock requested without a click, or too soon after leaving one
+            console.warn('Pointer lock was refused');
+        });
+
+        document.addEventListener('mousemove', (e) => {
+            if (!this.isPointerLocked()) return;
+            this.lookListeners.forEach(callback => callback(e.movementX, e.movementY));
+        });
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(DISPLAY_KEY));
+            this.mouseLook = saved?.mouseLook === true;
+        } catch (e) {
+            console.warn('Failed to load display settings:', e);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(DISPLAY_KEY, JSON.stringify({ mouseLook: this.mouseLook }));
+        } catch (e) {
+            console.warn('Failed to save display settings:', e);
+        }
+    }
+
+    isFullscreenSupported() {
+        return document.fullscreenEnabled === true;
+    }
+
+    isFullscreen() {
+        return Boolean(document.fullscreenElement);
+    }
+
+    /**
+     * Enter or leave fullscreen (must be called from a click or key press)
+     */
+    toggleFullscreen() {
+        if (!this.isFullscreenSupported()) return;
+
+        const request = this.isFullscreen()
+            ? document.exitFullscreen()
+            : document.documentElement.requestFullscreen();
+        request.catch(e => console.warn('Fullscreen change failed:', e));
+    }
+
+    setMouseLook(enabled) {
+        this.mouseLook = enabled;
+        this.save();
+
+        if (!enabled) {
+            this.unlockPointer();
+        }
+        this.notifyListeners();
+    }
+
+    toggleMouseLook() {
+        this.setMouseLook(!this.mouseLook);
+        return this.mouseLook;
+    }
+
+    isPointerLocked() {
+        return document.pointerLockElement === this.element;
+    }
+
+    /**
+     * Lock the pointer for mouse look (must be called from a click or key press)
+     */
+    lockPointer() {
+        if (!this.mouseLook || this.isPointerLocked() || !this.element.requestPointerLock) return;
+
+        // Newer browsers return a promise, older ones report through pointerlockerror
+        this.element.requestPointerLock()?.catch?.(() => {});
+    }
+
+    unlockPointer() {
+        if (this.isPointerLocked()) {
+            document.exitPointerLock();
+        }
+    }
+
+    /**
+     * Listen for relative mouse movement while the pointer is locked: callback(deltaX, deltaY)
+     * Returns an unsubscribe function
+     */
+    onLook(callback) {
+        this.lookListeners.add(callback);
+        return () => this.lookListeners.delete(callback);
+    }
+
+    getState() {
+        return {
+            fullscreen: this.isFullscreen(),
+            mouseLook: this.mouseLook,
+            pointerLocked: this.isPointerLocked()
+        };
+    }
+
+    /**
+     * Subscribe to display changes: callback({ fullscreen, mouseLook, pointerLocked })
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+        // Immediately notify with current state
+        callback(this.getState());
+
+        // Return unsubscribe function
+        return () => this.listeners.delete(callback);
+    }
+
+    notifyListeners() {
+        const state = this.getState();
+        this.listeners.forEach(callback => callback(state));
+    }
+}
@@ -1,18 +1,58 @@
 import * as THREE from 'three';
+import { setSphereSegments } from './QualityManager.js';
+import { GameEvent } from './EventBus.js';
+import { disposeObject } from './WorldLifecycle.js';
 
 // Visual Effects Manager
 export class EffectsManager {
-    constructor(gameEngine) {
+    constructor(gameEngine, events) {
         this.engine = gameEngine;
         this.activeEffects = [];
         
         // Gravity field visualization
         this.gravityField = null;
         this.createGravityField();
+        
+        this.subscribeEvents(events);
+    }
+    
+    // Effects for game events (drawn around the player mesh)
+    subscribeEvents(events) {
+        const engine = this.engine;
+        
+        events.onEach({
+            [GameEvent.PLAYER_BOOSTED]: ({ position, direction }) => {
+                this.createBoostEffect(position, direction);
+            },
+            [GameEvent.PLAYER_RECYCLED]: () => this.createRecycleEffect(engine.player.position),
+            [GameEvent.PLAYER_HARVESTED]: () => this.createRecycleEffect(engine.player.position),
+            [GameEvent.DEBRIS_GRABBED]: ({ debris }) => {
+                this.createAbsorptionEffect(debris.position, engine.player.position, debris.userData.color.getHex());
+            },
+            [GameEvent.DEBRIS_HARVESTED]: ({ debris }) => {
+                // Bigger effect for resources
+                if (!debris.userData.isResource) return;
+                this.createRecycleEffect(debris.position);
+                engine.spawnParticles(debris.position, 15, debris.userData.color.getHex());
+            },
+            [GameEvent.DEBRIS_ABSORBED]: ({ debris, mass }) => {
+                this.createAbsorptionEffect(debris.position, engine.player.position, debris.userData.color.getHex());
+                this.updatePlayerGlow(mass);
+            },
+            [GameEvent.DEBRIS_RECYCLED]: ({ debris }) => {
+                engine.spawnParticles(debris.position, 20, 0xff6600);
+            },
+            [GameEvent.NODE_SPAWNED]: ({ position }) => {
+                engine.spawnParticles(position, 5, 0x00ffff);
+            },
+            [GameEvent.TIER_UP]: ({ tier }) => this.createTierUpEffect(engine.player.position, tier),
+            [GameEvent.RUN_STOPPED]: () => this.clear()
+        });
     }
     
     createGravityField() {
-        const geometry = new THREE.SphereGeometry(1, 32, 32);
+        const segments = this.engine.quality.sphereSegments;
+        const geometry = new THREE.SphereGeometry(1, segments, segments);
         const material = new THREE.MeshBasicMaterial({
             color: 0xffffff,
             transparent: true,
@@ -24,6 +64,11 @@ export class EffectsManager {
         this.engine.scene.add(this.gravityField);
     }
     
+    // Apply graphics quality settings (particle counts are scaled by the engine)
+    setQuality(settings) {
+        setSphereSegments(this.gravityField, settings.sphereSegments);
+    }
+    
     updateGravityField(position, mode, range, strength) {
         if (!this.gravityField) return;
         
@@ -50,7 +95,7 @@ export class EffectsManager {
     // Absorption effect
     createAbsorptionEffect(position, playerPosition, color = 0x64c8ff) {
         // Spawn particles that move towards player
-        const particleCount = 15;
+        const particleCount = this.engine.scaleParticleCount(15);
         const particles = [];
         
         for (let i = 0; i < particleCount; i++) {
@@ -72,10 +117,8 @@ export class EffectsManager {
             particle.userData.velocity = direction.multiplyScalar(20 + Math.random() * 10);
             particle.userData.life = 1.0;
             particle.userData.maxLife = 0.3 + Math.random() * 0.3;
-            particle.material.color.setHex(color);
-            particle.visible = true;
+            particle.userData.color.setHex(color);
             
-            this.engine.scene.add(particle);
             particles.push(particle);
         }
         
@@ -111,7 +154,7 @@ export class EffectsManager {
     // Tier up effect
     createTierUpEffect(playerPosition, tier) {
         // Explosion of particles
-        const particleCount = 50;
+        const particleCount = this.engine.scaleParticleCount(50);
         const colors = [0x64c8ff, 0x00ff88, 0xffc864];
         
         for (let i = 0; i < particleCount; i++) {
@@ -129,11 +172,8 @@ export class EffectsManager {
             
             particle.userData.life = 1.0;
             particle.userData.maxLife = 1.0 + Math.random() * 0.5;
-            particle.material.color.setHex(colors[i % colors.length]);
+            particle.userData.color.setHex(colors[i % colors.length]);
             particle.scale.setScalar(1.5);
-            particle.visible = true;
-            
-            this.engine.scene.add(particle);
         }
         
         // Expanding ring effect
@@ -181,7 +221,7 @@ export class EffectsManager {
     // Recycle effect
     createRecycleEffect(playerPosition) {
         // Spiral particles
-        const particleCount = 30;
+        const particleCount = this.engine.scaleParticleCount(30);
         const baseColor = 0x00ff88;
         
         for (let i = 0; i < particleCount; i++) {
@@ -200,10 +240,7 @@ export class EffectsManager {
             
             particle.userData.life = 1.0;
             particle.userData.maxLife = 0.8 + Math.random() * 0.4;
-            particle.material.color.setHex(baseColor);
-            particle.visible = true;
-            
-            this.engine.scene.add(particle);
+            particle.userData.color.setHex(baseColor);
         }
         
         // Pulse player glow
@@ -237,7 +274,7 @@ export class EffectsManager {
     // Boost effect
     createBoostEffect(playerPosition, direction) {
         // Trail particles
-        const particleCount = 8;
+        const particleCount = this.engine.scaleParticleCount(8);
         const color = 0x64c8ff;
         
         for (let i = 0; i < particleCount; i++) {
@@ -255,16 +292,13 @@ export class EffectsManager {
             particle.userData.velocity.copy(velocity);
             particle.userData.life = 1.0;
             particle.userData.maxLife = 0.3;
-            particle.material.color.setHex(color);
-            particle.visible = true;
-            
-            this.engine.scene.add(particle);
+            particle.userData.color.setHex(color);
         }
     }
 
     // Collision effect
     createCollisionEffect(position) {
-        const particleCount = 10;
+        const particleCount = this.engine.scaleParticleCount(10);
         const color = 0xff6464;
         
         for (let i = 0; i < particleCount; i++) {
@@ -279,10 +313,7 @@ export class EffectsManager {
             
             particle.userData.life = 1.0;
             particle.userData.maxLife = 0.4;
-            particle.material.color.setHex(color);
-            particle.visible = true;
-            
-            this.engine.scene.add(particle);
+            particle.userData.color.setHex(color);
         }
         
         this.engine.screenShake(0.5);
@@ -338,7 +369,7 @@ export class EffectsManager {
     clear() {
         this.activeEffects.forEach(effect => {
             if (effect.ring) {
-                this.engine.scene.remove(effect.ring);
+                disposeObject(effect.ring);
             }
             if (effect.light) {
                 this.engine.scene.remove(effect.light);
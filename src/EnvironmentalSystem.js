@@ -2,12 +2,11 @@ import * as THREE from 'three';
 import { BuildingType } from './BuildingSystem.js';
 
 /**
- * EnvironmentalSystem - Manages environmental health zones
+ * EnvironmentalSystem - Manages environmental health zones (WorldRenderer draws them)
  * Zones improve when trees are nearby and degrade over time
  */
 export class EnvironmentalSystem {
-    constructor(scene) {
-        this.scene = scene;
+    constructor() {
         this.zones = new Map();
         this.nextId = 0;
     }
@@ -16,45 +15,33 @@ export class EnvironmentalSystem {
      * Create a new environmental zone
      */
     createZone(position, radius, initialHealth = 0) {
-        const geometry = new THREE.SphereGeometry(radius, 16, 16);
-        const material = new THREE.MeshBasicMaterial({
-            color: 0xff0000,
-            transparent: true,
-            opacity: 0.15,
-            wireframe: true,
-            side: THREE.DoubleSide
-        });
-        
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.position.copy(position);
-        
         const zone = {
             id: `zone_${this.nextId++}`,
             position: position.clone(),
             radius,
             health: initialHealth,  // 0-100
             cleanRate: 0,
-            degradeRate: 0.5,  // Health lost per second without trees
-            mesh,
-            particleSystem: null
+            degradeRate: 0.5  // Health lost per second without trees
         };
         
         this.zones.set(zone.id, zone);
-        this.scene.add(mesh);
         
         return zone;
     }
 
     /**
      * Update all zones based on nearby buildings
+     * Returns the zones whose health crossed a whole percent, with the percent before
      */
-    updateZones(deltaTime, buildings) {
+    updateZones(deltaTime, buildingSystem) {
+        const changed = [];
+        
         this.zones.forEach(zone => {
+            const previous = Math.floor(zone.health);
+            
             // Find nearby trees
-            const nearbyTrees = buildings.filter(
-                b => b.type === BuildingType.TREE && 
-                     b.position.distanceTo(zone.position) <= zone.radius + 10
-            );
+            const nearbyTrees = buildingSystem.getBuildingsInRange(zone.position, zone.radius + 10)
+                .filter(b => b.type === BuildingType.TREE);
             
             // Calculate clean rate based on number of trees
             zone.cleanRate = nearbyTrees.length * 3; // 3% per tree per second
@@ -63,37 +50,12 @@ export class EnvironmentalSystem {
             const healthChange = zone.cleanRate - zone.degradeRate;
             zone.health = Math.max(0, Math.min(100, zone.health + healthChange * deltaTime));
             
-            // Update visual representation
-            this.updateZoneVisual(zone);
+            if (Math.floor(zone.health) !== previous) {
+                changed.push({ zone, previous });
+            }
         });
-    }
-
-    /**
-     * Update zone visual based on health
-     */
-    updateZoneVisual(zone) {
-        const material = zone.mesh.material;
-        
-        // Color transition: red (0%) -> yellow (50%) -> green (100%)
-        const healthPercent = zone.health / 100;
         
-        let r, g, b;
-        if (healthPercent < 0.5) {
-            // Red to yellow
-            const t = healthPercent * 2;
-            r = 1;
-            g = t;
-            b = 0;
-        } else {
-            // Yellow to green
-            const t = (healthPercent - 0.5) * 2;
-            r = 1 - t;
-            g = 1;
-            b = 0;
-        }
-        
-        material.color.setRGB(r, g, b);
-        material.opacity = 0.1 + (healthPercent * 0.2);
+        return changed;
     }
 
     /**
@@ -125,13 +87,45 @@ export class EnvironmentalSystem {
     removeZone(id) {
         const zone = this.zones.get(id);
         if (zone) {
-            this.scene.remove(zone.mesh);
             this.zones.delete(id);
             return true;
         }
         return false;
     }
 
+    /**
+     * Remove every zone
+     */
+    clear() {
+        this.zones.clear();
+    }
+
+    /**
+     * Snapshot of all zones for saving
+     */
+    serialize() {
+        return this.getZones().map(zone => ({
+            position: zone.position.toArray(),
+            radius: zone.radius,
+            health: zone.health
+        }));
+    }
+
+    /**
+     * Replace all zones with a saved layout
+     */
+    deserialize(data) {
+        this.clear();
+        
+        data.forEach(saved => {
+            this.createZone(
+                new THREE.Vector3().fromArray(saved.position),
+                saved.radius,
+                saved.health
+            );
+        });
+    }
+
     /**
      * Get average health across all zones
      */
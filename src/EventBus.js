@@ -0,0 +1,125 @@
+/**
+ * Every event that can go through the EventBus, with the detail it carries
+ */
+export const GameEvent = Object.freeze({
+    // Simulation (emitted during a step, so replays emit them again)
+    PLAYER_BOOSTED: 'player:boosted',           // { position, direction }
+    PLAYER_RECYCLED: 'player:recycled',         // { points }
+    PLAYER_HARVESTED: 'player:harvested',       // { resources, resourceCount, pollutionCount, recycleCount }
+    DEBRIS_GRABBED: 'debris:grabbed',           // { debris }
+    DEBRIS_HARVESTED: 'debris:harvested',       // { debris }
+    DEBRIS_ABSORBED: 'debris:absorbed',         // { debris, mass }
+    DEBRIS_RECYCLED: 'debris:recycled',         // { debris, recycler, seeking }
+    NODE_SPAWNED: 'node:spawned',               // { node, position }
+    GRAVITY_CHANGED: 'gravity:changed',         // { mode }
+    TIER_UP: 'tier:up',                         // { tier }
+    ACHIEVEMENT_UNLOCKED: 'achievement:unlocked', // { achievement }
+    MISSION_COMPLETED: 'mission:completed',     // { mission }
+    BUILDING_PLACED: 'building:placed',         // { building }
+    BUILDING_UPGRADED: 'building:upgraded',     // { building }
+    BUILDING_MOVED: 'building:moved',           // { building }
+    BUILDING_REMOVED: 'building:removed',       // { building, refund, undone } (undone: taken back for a full refund)
+    BUILDING_REJECTED: 'building:rejected',     // { type, reason } ('cost', 'blocked' or 'maxLevel')
+    ZONE_HEALTH_CHANGED: 'zone:healthChanged',  // { zone, health, previous } (whole percents)
+    OXYGEN_CRITICAL: 'oxygen:critical',         // { oxygen }
+    OXYGEN_DEPLETING: 'oxygen:depleting',       // { secondsLeft }
+    OXYGEN_RESTORED: 'oxygen:restored',         // {}
+    RUN_ENDED: 'run:ended',                     // { reason }
+
+    // Run lifecycle (emitted by the game)
+    RUN_STARTED: 'run:started',                 // { replay }
+    RUN_PAUSED: 'run:paused',                   // {}
+    RUN_RESUMED: 'run:resumed',                 // {}
+    RUN_STOPPED: 'run:stopped',                 // {}
+
+    // Graphics (emitted by the engine)
+    CONTEXT_LOST: 'display:contextLost',        // {}
+    CONTEXT_RESTORED: 'display:contextRestored', // {}
+
+    // Menu, replay and inspector controls (emitted by the UI)
+    MENU_START: 'menu:start',                   // {}
+    MENU_CONTINUE: 'menu:continue',             // {}
+    MENU_RESUME: 'menu:resume',                 // {}
+    MENU_RESTART: 'menu:restart',               // {}
+    MENU_END_RUN: 'menu:endRun',                // {}
+    MENU_QUIT: 'menu:quit',                     // {}
+    REPLAY_EXPORT: 'replay:export',             // {}
+    REPLAY_LOAD: 'replay:load',                 // { json }
+    REPLAY_WATCH: 'replay:watch',               // {}
+    REPLAY_TOGGLE: 'replay:toggle',             // {}
+    REPLAY_SPEED: 'replay:speed',               // { speed }
+    REPLAY_SEEK: 'replay:seek',                 // { tick }
+    REPLAY_EXIT: 'replay:exit',                 // {}
+    INSPECTOR_CLOSE: 'inspector:close',         // {}
+    INSPECTOR_ACTION: 'inspector:action'        // { action }
+});
+
+const KNOWN_EVENTS = new Set(Object.values(GameEvent));
+
+/**
+ * EventBus - Synchronous publish/subscribe for GameEvent types.
+ * Systems subscribe to what they react to, so the code raising an event never needs
+ * to know who listens. Unknown event names throw, which catches typos early.
+ */
+export class EventBus {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Listen for an event; returns an unsubscribe function
+     */
+    on(type, callback) {
+        this.assertKnown(type);
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(callback);
+
+        return () => this.listeners.get(type).delete(callback);
+    }
+
+    /**
+     * Listen for several events at once ({ [type]: callback }); returns one unsubscribe function
+     */
+    onEach(handlers) {
+        const unsubscribers = Object.entries(handlers).map(([type, callback]) => this.on(type, callback));
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Call every listener of an event in subscription order
+     */
+    emit(type, detail = {}) {
+        this.assertKnown(type);
+
+        this.listeners.get(type)?.forEach(callback => {
+            // One failing listener shouldn't stop the others (or the simulation step)
+            try {
+                callback(detail);
+            } catch (e) {
+                console.error(`Error in ${type} listener:`, e);
+            }
+        });
+    }
+
+    /**
+     * Number of listeners for an event (or for all events)
+     */
+    listenerCount(type = null) {
+        if (type) {
+            return this.listeners.get(type)?.size ?? 0;
+        }
+
+        let count = 0;
+        this.listeners.forEach(callbacks => count += callbacks.size);
+        return count;
+    }
+
+    assertKnown(type) {
+        if (!KNOWN_EVENTS.has(type)) {
+            throw new Error(`Unknown game event: ${type}`);
+        }
+    }
+}
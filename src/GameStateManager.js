@@ -1,16 +1,70 @@
+import { MissionSystem, MissionMetric } from './MissionSystem.js';
+import { BuildingType } from './BuildingSystem.js';
+import { EventBus, GameEvent } from './EventBus.js';
+
+// Versioned profile (achievements + lifetime stats) kept across sessions
+const PROFILE_KEY = 'gravshift_profile';
+const PROFILE_VERSION = 1;
+
 // Game State Manager
 export class GameStateManager {
-    constructor() {
+    /**
+     * @param {Storage|null} storage - Where the profile and leaderboard are kept (null keeps them in memory only)
+     * @param {EventBus} events - Bus for tier ups and achievements; mission stats are counted from its events
+     */
+    constructor(storage = globalThis.localStorage ?? null, events = new EventBus()) {
+        this.storage = storage;
+        this.events = events;
         this.score = 0;
         this.mass = 1.0;
         this.tier = 1;
-        this.currentMission = null;
-        this.completedMissions = [];
+        this.missions = new MissionSystem({
+            [MissionMetric.DEBRIS_ABSORBED]: () => this.debrisAbsorbed,
+            [MissionMetric.MASS]: () => this.mass,
+            [MissionMetric.TIER]: () => this.tier
+        });
         this.achievements = this.initializeAchievements();
+        this.lifetimeStats = this.getDefaultLifetimeStats();
+        this.loadProfile();
         this.loadLeaderboard();
         this.difficulty = 1;
         this.timeElapsed = 0;
         this.debrisAbsorbed = 0;
+        
+        // Run totals already added to lifetime stats
+        this.recordedTime = 0;
+        this.recordedDebris = 0;
+        
+        // Replays play against their own achievement state and never touch the profile
+        this.profileSuspended = false;
+        
+        this.subscribeEvents();
+    }
+
+    // Mission stats counted from what happens in the world
+    subscribeEvents() {
+        this.events.on(GameEvent.DEBRIS_RECYCLED, ({ debris }) => {
+            if (!debris.userData.isResource) {
+                this.recordMetric(MissionMetric.POLLUTION_DELIVERED);
+            }
+        });
+        
+        this.events.on(GameEvent.DEBRIS_HARVESTED, () => {
+            this.recordMetric(MissionMetric.DEBRIS_HARVESTED);
+        });
+        
+        this.events.on(GameEvent.BUILDING_PLACED, ({ building }) => {
+            if (building.type === BuildingType.TREE) {
+                this.recordMetric(MissionMetric.TREES_BUILT);
+            }
+        });
+        
+        // A placement taken back doesn't count as built
+        this.events.on(GameEvent.BUILDING_REMOVED, ({ building, undone }) => {
+            if (undone && building.type === BuildingType.TREE) {
+                this.recordMetric(MissionMetric.TREES_BUILT, -1);
+            }
+        });
     }
 
     initializeAchievements() {
@@ -21,7 +75,9 @@ export class GameStateManager {
                 description: 'Absorb your first debris',
                 icon: '🌟',
                 unlocked: false,
-                condition: () => this.debrisAbsorbed >= 1
+                unlockedAt: null,
+                target: 1,
+                progress: () => this.debrisAbsorbed
             },
             {
                 id: 'mass_10',
@@ -29,7 +85,9 @@ export class GameStateManager {
                 description: 'Reach mass of 10',
                 icon: '💪',
                 unlocked: false,
-                condition: () => this.mass >= 10
+                unlockedAt: null,
+                target: 10,
+                progress: () => this.mass
             },
             {
                 id: 'mass_50',
@@ -37,7 +95,9 @@ export class GameStateManager {
                 description: 'Reach mass of 50',
                 icon: '🏋️',
                 unlocked: false,
-                condition: () => this.mass >= 50
+                unlockedAt: null,
+                target: 50,
+                progress: () => this.mass
             },
             {
                 id: 'mass_100',
@@ -45,7 +105,9 @@ export class GameStateManager {
                 description: 'Reach mass of 100',
                 icon: '🌍',
                 unlocked: false,
-                condition: () => this.mass >= 100
+                unlockedAt: null,
+                target: 100,
+                progress: () => this.mass
             },
             {
                 id: 'tier_3',
@@ -53,7 +115,9 @@ export class GameStateManager {
                 description: 'Reach Tier 3',
                 icon: '⬆️',
                 unlocked: false,
-                condition: () => this.tier >= 3
+                unlockedAt: null,
+                target: 3,
+                progress: () => this.tier
             },
             {
                 id: 'tier_5',
@@ -61,7 +125,9 @@ export class GameStateManager {
                 description: 'Reach Tier 5',
                 icon: '👑',
                 unlocked: false,
-                condition: () => this.tier >= 5
+                unlockedAt: null,
+                target: 5,
+                progress: () => this.tier
             },
             {
                 id: 'score_1000',
@@ -69,7 +135,9 @@ export class GameStateManager {
                 description: 'Score 1000 points',
                 icon: '🎯',
                 unlocked: false,
-                condition: () => this.score >= 1000
+                unlockedAt: null,
+                target: 1000,
+                progress: () => this.score
             },
             {
                 id: 'score_5000',
@@ -77,7 +145,9 @@ export class GameStateManager {
                 description: 'Score 5000 points',
                 icon: '🏆',
                 unlocked: false,
-                condition: () => this.score >= 5000
+                unlockedAt: null,
+                target: 5000,
+                progress: () => this.score
             },
             {
                 id: 'survive_5min',
@@ -85,7 +155,9 @@ export class GameStateManager {
                 description: 'Survive for 5 minutes',
                 icon: '⏱️',
                 unlocked: false,
-                condition: () => this.timeElapsed >= 300
+                unlockedAt: null,
+                target: 300,
+                progress: () => this.timeElapsed
             },
             {
                 id: 'absorb_100',
@@ -93,134 +165,162 @@ export class GameStateManager {
                 description: 'Absorb 100 debris',
                 icon: '🌪️',
                 unlocked: false,
-                condition: () => this.debrisAbsorbed >= 100
+                unlockedAt: null,
+                target: 100,
+                progress: () => this.debrisAbsorbed
             }
         ];
     }
 
-    getMissionsList() {
-        return [
-            {
-                id: 'absorb_10',
-                title: 'Debris Hunter',
-                description: 'Absorb 10 debris',
-                difficulty: 1,
-                reward: 100,
-                condition: () => this.debrisAbsorbed >= 10
-            },
-            {
-                id: 'reach_mass_3',
-                title: 'First Growth',
-                description: 'Reach a mass of 3',
-                difficulty: 1,
-                reward: 150,
-                condition: () => this.mass >= 3
-            },
-            {
-                id: 'reach_tier_2',
-                title: 'Next Level',
-                description: 'Advance to Tier 2',
-                difficulty: 1,
-                reward: 200,
-                condition: () => this.tier >= 2
-            },
-            {
-                id: 'absorb_50',
-                title: 'Mass Collector',
-                description: 'Absorb 50 debris',
-                difficulty: 2,
-                reward: 300,
-                condition: () => this.debrisAbsorbed >= 50
-            },
-            {
-                id: 'reach_mass_15',
-                title: 'Growing Power',
-                description: 'Reach a mass of 15',
-                difficulty: 2,
-                reward: 400,
-                condition: () => this.mass >= 15
-            },
-            {
-                id: 'reach_tier_4',
-                title: 'High Tier',
-                description: 'Advance to Tier 4',
-                difficulty: 3,
-                reward: 500,
-                condition: () => this.tier >= 4
-            },
-            {
-                id: 'absorb_200',
-                title: 'Absorption Expert',
-                description: 'Absorb 200 debris',
-                difficulty: 4,
-                reward: 800,
-                condition: () => this.debrisAbsorbed >= 200
-            },
-            {
-                id: 'reach_mass_100',
-                title: 'Maximum Mass',
-                description: 'Reach a mass of 100',
-                difficulty: 5,
-                reward: 1000,
-                condition: () => this.mass >= 100
-            },
-            {
-                id: 'reach_tier_8',
-                title: 'Ultimate Tier',
-                description: 'Advance to Tier 8',
-                difficulty: 6,
-                reward: 2000,
-                condition: () => this.tier >= 8
+    // Complete finished missions and award their score
+    // Resource rewards are returned with the mission for the caller to apply
+    updateMissions(deltaTime) {
+        const completed = this.missions.update(deltaTime);
+        
+        completed.forEach(mission => {
+            if (mission.reward.score) {
+                this.addScore(mission.reward.score);
             }
-        ];
+        });
+        
+        return completed;
     }
 
-    startNewMission() {
-        const availableMissions = this.getMissionsList().filter(
-            m => !this.completedMissions.includes(m.id) &&
-            m.difficulty <= this.tier
-        );
-        
-        if (availableMissions.length > 0) {
-            this.currentMission = availableMissions[0];
-            return this.currentMission;
-        }
-        return null;
+    recordMetric(metric, amount = 1) {
+        this.missions.incrementMetric(metric, amount);
+    }
+
+    setMetric(metric, value) {
+        this.missions.setMetric(metric, value);
     }
 
-    checkMissionProgress() {
-        if (this.currentMission && this.currentMission.condition()) {
-            this.completeMission();
+    checkAchievements() {
+        const newlyUnlocked = [];
+        
+        this.achievements.forEach(achievement => {
+            if (!achievement.unlocked && achievement.progress() >= achievement.target) {
+                achievement.unlocked = true;
+                achievement.unlockedAt = Date.now();
+                newlyUnlocked.push(achievement);
+                this.addScore(50); // Bonus points for achievement
+            }
+        });
+        
+        if (newlyUnlocked.length > 0) {
+            this.saveProfile();
+            newlyUnlocked.forEach(achievement => {
+                this.events.emit(GameEvent.ACHIEVEMENT_UNLOCKED, { achievement });
+            });
         }
+        
+        return newlyUnlocked;
     }
 
-    completeMission() {
-        if (!this.currentMission) return;
+    // Progress towards an achievement, from 0 to 1
+    getAchievementProgress(achievement) {
+        if (achievement.unlocked) return 1;
+        return Math.min(Math.max(achievement.progress() / achievement.target, 0), 1);
+    }
+
+    getDefaultLifetimeStats() {
+        return {
+            totalDebrisAbsorbed: 0,
+            totalPlayTime: 0,
+            bestMass: 0,
+            bestTier: 0
+        };
+    }
 
-        this.completedMissions.push(this.currentMission.id);
-        this.addScore(this.currentMission.reward);
+    loadProfile() {
+        let profile;
+        try {
+            const saved = this.storage?.getItem(PROFILE_KEY);
+            if (!saved) return;
+            profile = JSON.parse(saved);
+        } catch (e) {
+            console.warn('Failed to load profile:', e);
+            return;
+        }
         
-        const completedMission = this.currentMission;
-        this.currentMission = null;
+        if (profile.version !== PROFILE_VERSION) {
+            console.warn(`Ignoring profile with unsupported version ${profile.version}`);
+            return;
+        }
         
-        // Start next mission after a delay
-        setTimeout(() => this.startNewMission(), 2000);
+        this.achievements.forEach(achievement => {
+            const unlock = profile.achievements[achievement.id];
+            if (unlock) {
+                achievement.unlocked = true;
+                achievement.unlockedAt = unlock.unlockedAt;
+            }
+        });
         
-        return completedMission;
+        this.lifetimeStats = { ...this.getDefaultLifetimeStats(), ...profile.stats };
     }
 
-    checkAchievements() {
-        const newlyUnlocked = [];
+    saveProfile() {
+        if (this.profileSuspended) return;
         
+        const achievements = {};
         this.achievements.forEach(achievement => {
-            if (!achievement.unlocked && achievement.condition()) {
-                achievement.unlocked = true;
-                newlyUnlocked.push(achievement);
-                this.addScore(50); // Bonus points for achievement
+            if (achievement.unlocked) {
+                achievements[achievement.id] = { unlockedAt: achievement.unlockedAt };
             }
         });
         
-        return newlyUnlocked;
+        const profile = {
+            version: PROFILE_VERSION,
+            achievements,
+            stats: this.lifetimeStats
+        };
+        // Runs from the game loop (achievement checks), so a full or blocked storage mustn't throw
+        try {
+            this.storage?.setItem(PROFILE_KEY, JSON.stringify(profile));
+        } catch (e) {
+            console.warn('Failed to save profile:', e);
+        }
+    }
+
+    // Fold the current run into lifetime stats and persist them
+    commitLifetimeStats() {
+        if (this.profileSuspended) return;
+        
+        const stats = this.lifetimeStats;
+        
+        stats.totalDebrisAbsorbed += this.debrisAbsorbed - this.recordedDebris;
+        stats.totalPlayTime += this.timeElapsed - this.recordedTime;
+        stats.bestMass = Math.max(stats.bestMass, this.mass);
+        stats.bestTier = Math.max(stats.bestTier, this.tier);
+        
+        this.recordedDebris = this.debrisAbsorbed;
+        this.recordedTime = this.timeElapsed;
+        
+        this.saveProfile();
+    }
+
+    getUnlockedAchievementIds() {
+        return this.achievements
+            .filter(achievement => achievement.unlocked)
+            .map(achievement => achievement.id);
+    }
+
+    // Swap in the unlocks a replay was recorded with; the saved profile is left alone
+    suspendProfile(unlockedIds = []) {
+        this.profileSuspended = true;
+        this.achievements.forEach(achievement => {
+            achievement.unlocked = unlockedIds.includes(achievement.id);
+            achievement.unlockedAt = achievement.unlocked ? 0 : null;
+        });
+    }
+
+    // Go back to the player's own profile after a replay
+    resumeProfile() {
+        if (!this.profileSuspended) return;
+        
+        this.profileSuspended = false;
+        this.achievements = this.initializeAchievements();
+        this.lifetimeStats = this.getDefaultLifetimeStats();
+        this.loadProfile();
     }
 
     addMass(amount) {
@@ -233,10 +333,12 @@ export class GameStateManager {
         
         // Check for tier up
         const tierUp = this.tier > oldTier;
+        if (tierUp) {
+            this.events.emit(GameEvent.TIER_UP, { tier: this.tier });
+        }
         
-        // Check achievements and missions
+        // Check achievements (missions are checked every update)
         const achievements = this.checkAchievements();
-        this.checkMissionProgress();
         
         return { tierUp, achievements };
     }
@@ -289,7 +391,7 @@ export class GameStateManager {
         this.checkAchievements();
     }
 
-    saveToLeaderboard(playerName = 'Player') {
+    saveToLeaderboard(playerName = 'Player', runDetails = {}) {
         const leaderboard = this.getLeaderboard();
         
         const entry = {
@@ -298,6 +400,7 @@ export class GameStateManager {
             mass: this.mass,
             tier: this.tier,
             time: this.timeElapsed,
+            ...runDetails,
             date: new Date().toISOString()
         };
         
@@ -306,14 +409,23 @@ export class GameStateManager {
         
         // Keep top 10
         const top10 = leaderboard.slice(0, 10);
-        localStorage.setItem('gravshift_leaderboard', JSON.stringify(top10));
+        try {
+            this.storage?.setItem('gravshift_leaderboard', JSON.stringify(top10));
+        } catch (e) {
+            console.warn('Failed to save leaderboard:', e);
+        }
         
         return top10;
     }
 
     loadLeaderboard() {
-        const saved = localStorage.getItem('gravshift_leaderboard');
-        return saved ? JSON.parse(saved) : this.getDefaultLeaderboard();
+        try {
+            const saved = this.storage?.getItem('gravshift_leaderboard');
+            return saved ? JSON.parse(saved) : this.getDefaultLeaderboard();
+        } catch (e) {
+            console.warn('Failed to load leaderboard:', e);
+            return this.getDefaultLeaderboard();
+        }
     }
 
     getLeaderboard() {
@@ -330,16 +442,44 @@ export class GameStateManager {
         ];
     }
 
+    serialize() {
+        return {
+            score: this.score,
+            mass: this.mass,
+            tier: this.tier,
+            missions: this.missions.serialize(),
+            difficulty: this.difficulty,
+            timeElapsed: this.timeElapsed,
+            debrisAbsorbed: this.debrisAbsorbed
+        };
+    }
+
+    deserialize(data) {
+        this.score = data.score;
+        this.mass = data.mass;
+        this.tier = this.calculateTier();
+        this.difficulty = data.difficulty;
+        this.timeElapsed = data.timeElapsed;
+        this.debrisAbsorbed = data.debrisAbsorbed;
+        
+        // Everything up to the save was already committed to lifetime stats
+        this.recordedTime = this.timeElapsed;
+        this.recordedDebris = this.debrisAbsorbed;
+        
+        this.missions.deserialize(data.missions);
+    }
+
     reset() {
         this.score = 0;
         this.mass = 1.0;
         this.tier = 1;
-        this.currentMission = null;
-        this.completedMissions = [];
         this.difficulty = 1;
         this.timeElapsed = 0;
         this.debrisAbsorbed = 0;
-        // Don't reset achievements - they persist across games
-        this.startNewMission();
+        this.recordedTime = 0;
+        this.recordedDebris = 0;
+        // Don't reset achievements - they persist across games (see loadProfile)
+        this.missions.reset();
+        this.missions.fillActiveMissions();
     }
 }
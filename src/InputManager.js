@@ -1,4 +1,27 @@
-// Input Manager - Consolidated keyboard and mouse input handling
+import { KeyBindings, InputAction } from './KeyBindings.js';
+import { TouchControls } from './TouchControls.js';
+
+// Button indices for the standard gamepad mapping (Xbox layout names)
+export const GamepadButton = {
+    A: 0,
+    B: 1,
+    X: 2,
+    Y: 3,
+    LB: 4,
+    RB: 5,
+    LT: 6,
+    RT: 7,
+    BACK: 8,
+    START: 9,
+    LEFT_STICK: 10,
+    RIGHT_STICK: 11,
+    DPAD_UP: 12,
+    DPAD_DOWN: 13,
+    DPAD_LEFT: 14,
+    DPAD_RIGHT: 15
+};
+
+// Input Manager - Consolidated keyboard, mouse and gamepad input handling
 export class InputManager {
     constructor() {
         this.keys = {};
@@ -10,13 +33,42 @@ export class InputManager {
             mousemove: [],
             mousedown: [],
             mouseup: [],
-            click: []
+            click: [],
+            pinch: [],  // Touch zoom (delta in wheel units)
+            orbit: []   // Touch camera orbit (horizontal, vertical angle deltas)
         };
         
-        // Hotkey bindings
+        // Hotkey bindings (fixed keys such as Escape)
         this.hotkeys = new Map();
         
+        // Rebindable actions
+        this.bindings = new KeyBindings();
+        this.actionHandlers = new Map();
+        this.captureCallback = null; // Set while the rebinding UI waits for a key
+        
+        // Gamepad state (polled once per frame)
+        this.gamepadIndex = null;
+        this.gamepadButtons = [];      // Pressed state per button
+        this.gamepadButtonValues = []; // Analog value per button (triggers)
+        this.gamepadAxes = [0, 0, 0, 0];
+        this.gamepadDeadzone = 0.15;
+        this.gamepadButtonHandlers = new Map();
+        
+        // Last device used ('keyboard', 'gamepad' or 'touch'), for showing the right glyphs
+        this.activeDevice = 'keyboard';
+        
+        // When the player last touched any control (for idle detection)
+        this.lastActivityTime = performance.now();
+        
         this.setupEventListeners();
+        
+        // On-screen controls for touch devices
+        this.touch = new TouchControls({
+            onActivate: () => this.setActiveDevice('touch'),
+            onButton: (name) => this.handleTouchButton(name),
+            onPinch: (delta) => this.listeners.pinch.forEach(callback => callback(delta)),
+            onOrbit: (deltaH, deltaV) => this.listeners.orbit.forEach(callback => callback(deltaH, deltaV))
+        });
     }
 
     setupEventListeners() {
@@ -29,10 +81,29 @@ export class InputManager {
         window.addEventListener('mousedown', (e) => this.handleMouseDown(e));
         window.addEventListener('mouseup', (e) => this.handleMouseUp(e));
         window.addEventListener('click', (e) => this.handleClick(e));
+        window.addEventListener('wheel', () => this.markActivity(), { passive: true });
+        window.addEventListener('touchstart', () => this.markActivity(), { passive: true });
+        
+        // Gamepad events
+        window.addEventListener('gamepadconnected', (e) => this.handleGamepadConnected(e));
+        window.addEventListener('gamepaddisconnected', (e) => this.handleGamepadDisconnected(e));
     }
 
     handleKeyDown(e) {
         const key = e.key.toLowerCase();
+        this.setActiveDevice('keyboard');
+        
+        // A key pressed while rebinding goes to the rebinding UI only
+        if (this.captureCallback) {
+            const callback = this.captureCallback;
+            this.captureCallback = null;
+            e.preventDefault();
+            callback(key);
+            return;
+        }
+        
+        // Typing in a text field doesn't drive the game
+        if (e.target.closest && e.target.closest('input, textarea')) return;
         
         // Check hotkeys first
         if (this.hotkeys.has(key)) {
@@ -45,6 +116,13 @@ export class InputManager {
         
         this.keys[key] = true;
         
+        // Then actions bound to this key
+        const action = this.bindings.getAction(key);
+        if (action && this.actionHandlers.has(action)) {
+            e.preventDefault();
+            this.actionHandlers.get(action)(e);
+        }
+        
         // Notify listeners
         this.listeners.keydown.forEach(callback => callback(e, key));
     }
@@ -58,6 +136,7 @@ export class InputManager {
     }
 
     handleMouseMove(e) {
+        this.markActivity();
         this.mousePosition.x = e.clientX;
         this.mousePosition.y = e.clientY;
         
@@ -67,6 +146,7 @@ export class InputManager {
 
     handleMouseDown(e) {
         this.mouseButtons[e.button] = true;
+        this.setActiveDevice('keyboard');
         
         // Notify listeners
         this.listeners.mousedown.forEach(callback => callback(e));
@@ -84,6 +164,138 @@ export class InputManager {
         this.listeners.click.forEach(callback => callback(e));
     }
 
+    handleGamepadConnected(e) {
+        if (this.gamepadIndex === null) {
+            this.gamepadIndex = e.gamepad.index;
+        }
+    }
+
+    handleGamepadDisconnected(e) {
+        if (e.gamepad.index !== this.gamepadIndex) return;
+        
+        this.gamepadIndex = null;
+        this.gamepadButtons = [];
+        this.gamepadButtonValues = [];
+        this.gamepadAxes = [0, 0, 0, 0];
+        this.setActiveDevice('keyboard');
+    }
+
+    // Read the connected gamepad and fire handlers for newly pressed buttons
+    pollGamepad() {
+        if (this.gamepadIndex === null || !navigator.getGamepads) return;
+        
+        const pad = navigator.getGamepads()[this.gamepadIndex];
+        if (!pad) return;
+        
+        const previous = this.gamepadButtons;
+        this.gamepadButtons = pad.buttons.map(button => button.pressed);
+        this.gamepadButtonValues = pad.buttons.map(button => button.value);
+        this.gamepadAxes = [0, 1, 2, 3].map(i => pad.axes[i] || 0);
+        
+        const sticksMoved = this.gamepadAxes.some(value => Math.abs(value) > this.gamepadDeadzone);
+        if (sticksMoved || this.gamepadButtons.some(Boolean)) {
+            this.setActiveDevice('gamepad');
+        }
+        
+        this.gamepadButtons.forEach((pressed, button) => {
+            if (pressed && !previous[button]) {
+                this.gamepadButtonHandlers.get(button)?.();
+            }
+        });
+    }
+
+    // Remember which device was used last and announce changes
+    setActiveDevice(device) {
+        this.markActivity();
+        if (this.activeDevice === device) return;
+        
+        this.activeDevice = device;
+        window.dispatchEvent(new CustomEvent('input-device-change', { detail: device }));
+    }
+
+    markActivity() {
+        this.lastActivityTime = performance.now();
+    }
+
+    // Seconds since the player last used any control
+    getIdleTime() {
+        return (performance.now() - this.lastActivityTime) / 1000;
+    }
+
+    isGamepadButtonPressed(button) {
+        return this.gamepadButtons[button] === true;
+    }
+
+    // Analog button value from 0 to 1 (triggers), with the deadzone removed
+    getGamepadButtonValue(button) {
+        const value = this.gamepadButtonValues[button] || 0;
+        if (value < this.gamepadDeadzone) return 0;
+        return (value - this.gamepadDeadzone) / (1 - this.gamepadDeadzone);
+    }
+
+    // Stick position ('left' or 'right') with a radial deadzone, magnitude 0 to 1
+    getStick(side) {
+        const offset = side === 'left' ? 0 : 2;
+        const x = this.gamepadAxes[offset];
+        const y = this.gamepadAxes[offset + 1];
+        
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude < this.gamepadDeadzone) {
+            return { x: 0, y: 0 };
+        }
+        
+        // Rescale so output starts at 0 at the deadzone edge
+        const scaled = Math.min((magnitude - this.gamepadDeadzone) / (1 - this.gamepadDeadzone), 1);
+        return {
+            x: (x / magnitude) * scaled,
+            y: (y / magnitude) * scaled
+        };
+    }
+
+    // Register a handler for when a gamepad button is pressed
+    registerGamepadButton(button, callback) {
+        this.gamepadButtonHandlers.set(button, callback);
+        return () => this.gamepadButtonHandlers.delete(button);
+    }
+
+    // Tap buttons on the touch overlay run the same actions as their keys
+    handleTouchButton(name) {
+        this.setActiveDevice('touch');
+        
+        if (name === 'gravity') {
+            this.triggerAction(InputAction.CYCLE_GRAVITY);
+        } else if (name === 'build') {
+            this.triggerAction(InputAction.TOGGLE_BUILD);
+        } else if (name === 'pause') {
+            this.hotkeys.get('escape')?.();
+        }
+    }
+
+    triggerAction(action) {
+        this.actionHandlers.get(action)?.();
+    }
+
+    // Register a handler for a rebindable action
+    registerAction(action, callback) {
+        this.actionHandlers.set(action, callback);
+        return () => this.actionHandlers.delete(action);
+    }
+
+    // Check if any key bound to an action is held
+    isActionPressed(action) {
+        return this.bindings.getKeys(action).some(key => this.isKeyPressed(key));
+    }
+
+    // Send the next key press to a callback instead of the game (rebinding)
+    captureNextKey(callback) {
+        this.captureCallback = callback;
+        this.reset();
+    }
+
+    cancelCapture() {
+        this.captureCallback = null;
+    }
+
     // Check if key is currently pressed
     isKeyPressed(key) {
         return this.keys[key.toLowerCase()] === true;
@@ -142,37 +354,49 @@ export class InputManager {
         this.hotkeys.clear();
     }
 
-    // Movement vector helper (WASD + Arrow keys + Q/E for vertical)
+    // Movement vector helper (bound movement keys, or left stick + triggers)
     getMovementVector() {
         const vector = { x: 0, y: 0, z: 0 };
         
         // Forward/Backward
-        if (this.isAnyKeyPressed('w', 'arrowup')) {
+        if (this.isActionPressed(InputAction.MOVE_FORWARD)) {
             vector.z -= 1;
         }
-        if (this.isAnyKeyPressed('s', 'arrowdown')) {
+        if (this.isActionPressed(InputAction.MOVE_BACK)) {
             vector.z += 1;
         }
         
         // Left/Right
-        if (this.isAnyKeyPressed('a', 'arrowleft')) {
+        if (this.isActionPressed(InputAction.MOVE_LEFT)) {
             vector.x -= 1;
         }
-        if (this.isAnyKeyPressed('d', 'arrowright')) {
+        if (this.isActionPressed(InputAction.MOVE_RIGHT)) {
             vector.x += 1;
         }
         
-        // Up/Down (Q/E keys for ascend/descend)
-        if (this.isAnyKeyPressed('q', 'shift')) {
+        // Up/Down
+        if (this.isActionPressed(InputAction.ASCEND)) {
             vector.y += 1; // Ascend
         }
-        if (this.isAnyKeyPressed('e', 'control')) {
+        if (this.isActionPressed(InputAction.DESCEND)) {
             vector.y -= 1; // Descend
         }
         
-        // Normalize if moving in multiple directions
+        // Gamepad: left stick on the plane, right/left trigger to ascend/descend
+        const stick = this.getStick('left');
+        vector.x += stick.x;
+        vector.z += stick.y;
+        vector.y += this.getGamepadButtonValue(GamepadButton.RT) - this.getGamepadButtonValue(GamepadButton.LT);
+        
+        // Touch: joystick on the plane, slider for ascend/descend
+        const touchMove = this.touch.getMovement();
+        vector.x += touchMove.x;
+        vector.y += touchMove.y;
+        vector.z += touchMove.z;
+        
+        // Clamp to unit length: evens out diagonals but keeps analog magnitudes
         const length = Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z);
-        if (length > 0) {
+        if (length > 1) {
             vector.x /= length;
             vector.y /= length;
             vector.z /= length;
@@ -183,18 +407,36 @@ export class InputManager {
 
     // Check for boost input
     isBoostPressed() {
-        return this.isKeyPressed(' ');
+        return this.isActionPressed(InputAction.BOOST) ||
+            this.isGamepadButtonPressed(GamepadButton.A) ||
+            this.touch.isHeld('boost');
     }
 
     // Check for recycle input
     isRecyclePressed() {
-        return this.isKeyPressed('r');
+        return this.isActionPressed(InputAction.RECYCLE) ||
+            this.isGamepadButtonPressed(GamepadButton.B) ||
+            this.touch.isHeld('recycle');
+    }
+
+    // Input state for one simulation tick
+    // Values are rounded so a recorded replay feeds back exactly what the game used
+    getTickInput() {
+        const movement = this.getMovementVector();
+        const round = value => Math.round(value * 1000) / 1000;
+
+        return {
+            move: { x: round(movement.x), y: round(movement.y), z: round(movement.z) },
+            boost: this.isBoostPressed(),
+            recycle: this.isRecyclePressed()
+        };
     }
 
     // Reset all input states
     reset() {
         this.keys = {};
         this.mouseButtons = {};
+        this.touch.reset();
     }
 
     // Clean up
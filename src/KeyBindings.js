@@ -0,0 +1,235 @@
+/**
+ * Game actions that can be bound to keys
+ */
+export const InputAction = {
+    MOVE_FORWARD: 'move_forward',
+    MOVE_BACK: 'move_back',
+    MOVE_LEFT: 'move_left',
+    MOVE_RIGHT: 'move_right',
+    ASCEND: 'ascend',
+    DESCEND: 'descend',
+    BOOST: 'boost',
+    RECYCLE: 'recycle',
+    CYCLE_GRAVITY: 'cycle_gravity',
+    TOGGLE_BUILD: 'toggle_build',
+    SELECT_BUILDING_1: 'select_building_1',
+    SELECT_BUILDING_2: 'select_building_2',
+    SELECT_BUILDING_3: 'select_building_3',
+    ZOOM_IN: 'zoom_in',
+    ZOOM_OUT: 'zoom_out',
+    TOGGLE_FULLSCREEN: 'toggle_fullscreen',
+    TOGGLE_MOUSE_LOOK: 'toggle_mouse_look',
+    CYCLE_CAMERA: 'cycle_camera',
+    TOGGLE_RADAR: 'toggle_radar',
+    RADAR_ZOOM: 'radar_zoom',
+    PIN_BUILDING: 'pin_building',
+    ROTATE_BUILDING: 'rotate_building',
+    UPGRADE_BUILDING: 'upgrade_building',
+    RELOCATE_BUILDING: 'relocate_building',
+    DEMOLISH_BUILDING: 'demolish_building',
+    UNDO_PLACEMENT: 'undo_placement'
+};
+
+/**
+ * Display names for the rebinding UI
+ */
+export const ACTION_LABELS = {
+    [InputAction.MOVE_FORWARD]: 'Move Forward',
+    [InputAction.MOVE_BACK]: 'Move Backward',
+    [InputAction.MOVE_LEFT]: 'Move Left',
+    [InputAction.MOVE_RIGHT]: 'Move Right',
+    [InputAction.ASCEND]: 'Ascend',
+    [InputAction.DESCEND]: 'Descend',
+    [InputAction.BOOST]: 'Boost',
+    [InputAction.RECYCLE]: 'Recycle',
+    [InputAction.CYCLE_GRAVITY]: 'Cycle Gravity Field',
+    [InputAction.TOGGLE_BUILD]: 'Build Mode',
+    [InputAction.SELECT_BUILDING_1]: 'Select Recycler',
+    [InputAction.SELECT_BUILDING_2]: 'Select Tree',
+    [InputAction.SELECT_BUILDING_3]: 'Select Oxygen Generator',
+    [InputAction.ZOOM_IN]: 'Zoom In',
+    [InputAction.ZOOM_OUT]: 'Zoom Out',
+    [InputAction.TOGGLE_FULLSCREEN]: 'Fullscreen',
+    [InputAction.TOGGLE_MOUSE_LOOK]: 'Mouse Look',
+    [InputAction.CYCLE_CAMERA]: 'Cycle Camera Mode',
+    [InputAction.TOGGLE_RADAR]: 'Toggle Radar',
+    [InputAction.RADAR_ZOOM]: 'Radar Zoom',
+    [InputAction.PIN_BUILDING]: 'Pin Nearest Building',
+    [InputAction.ROTATE_BUILDING]: 'Rotate Building',
+    [InputAction.UPGRADE_BUILDING]: 'Upgrade Building',
+    [InputAction.RELOCATE_BUILDING]: 'Move Building',
+    [InputAction.DEMOLISH_BUILDING]: 'Demolish Building',
+    [InputAction.UNDO_PLACEMENT]: 'Undo Placement'
+};
+
+/**
+ * Default keys per action (KeyboardEvent.key, lowercased), up to two each
+ */
+export const DEFAULT_KEY_BINDINGS = {
+    [InputAction.MOVE_FORWARD]: ['w', 'arrowup'],
+    [InputAction.MOVE_BACK]: ['s', 'arrowdown'],
+    [InputAction.MOVE_LEFT]: ['a', 'arrowleft'],
+    [InputAction.MOVE_RIGHT]: ['d', 'arrowright'],
+    [InputAction.ASCEND]: ['q', 'shift'],
+    [InputAction.DESCEND]: ['e', 'control'],
+    [InputAction.BOOST]: [' '],
+    [InputAction.RECYCLE]: ['r'],
+    [InputAction.CYCLE_GRAVITY]: ['g'],
+    [InputAction.TOGGLE_BUILD]: ['b'],
+    [InputAction.SELECT_BUILDING_1]: ['1'],
+    [InputAction.SELECT_BUILDING_2]: ['2'],
+    [InputAction.SELECT_BUILDING_3]: ['3'],
+    [InputAction.ZOOM_IN]: ['=', '+'],
+    [InputAction.ZOOM_OUT]: ['-', '_'],
+    [InputAction.TOGGLE_FULLSCREEN]: ['f'],
+    [InputAction.TOGGLE_MOUSE_LOOK]: ['l'],
+    [InputAction.CYCLE_CAMERA]: ['c'],
+    [InputAction.TOGGLE_RADAR]: ['m'],
+    [InputAction.RADAR_ZOOM]: ['n'],
+    [InputAction.PIN_BUILDING]: ['p'],
+    [InputAction.ROTATE_BUILDING]: ['t'],
+    [InputAction.UPGRADE_BUILDING]: ['u'],
+    [InputAction.RELOCATE_BUILDING]: ['v'],
+    [InputAction.DEMOLISH_BUILDING]: ['x'],
+    [InputAction.UNDO_PLACEMENT]: ['z']
+};
+
+/**
+ * Keys the game keeps for itself (pause, debug overlay, sidebar)
+ */
+export const RESERVED_KEYS = ['escape', 'f3', 'tab'];
+
+const KEYBINDINGS_KEY = 'gravshift_keybindings';
+const MAX_KEYS_PER_ACTION = 2;
+
+const KEY_NAMES = {
+    ' ': 'Space',
+    'arrowup': '↑',
+    'arrowdown': '↓',
+    'arrowleft': '←',
+    'arrowright': '→',
+    'shift': 'Shift',
+    'control': 'Ctrl',
+    'alt': 'Alt',
+    'enter': 'Enter',
+    'backspace': 'Backspace'
+};
+
+/**
+ * KeyBindings - Action to key map with conflict detection and localStorage persistence
+ */
+export class KeyBindings {
+    constructor() {
+        this.bindings = KeyBindings.getDefaults();
+        this.load();
+    }
+
+    static getDefaults() {
+        const defaults = {};
+        Object.entries(DEFAULT_KEY_BINDINGS).forEach(([action, keys]) => {
+            defaults[action] = [...keys];
+        });
+        return defaults;
+    }
+
+    /**
+     * Human-readable name for a key
+     */
+    static formatKey(key) {
+        if (!key) return '—';
+        return KEY_NAMES[key] || key.toUpperCase();
+    }
+
+    /**
+     * Load saved bindings (unknown actions are ignored, missing ones keep defaults)
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(KEYBINDINGS_KEY);
+            if (!saved) return;
+
+            const data = JSON.parse(saved);
+            Object.keys(this.bindings).forEach(action => {
+                if (Array.isArray(data[action])) {
+                    this.bindings[action] = data[action]
+                        .filter(key => typeof key === 'string' && !RESERVED_KEYS.includes(key))
+                        .slice(0, MAX_KEYS_PER_ACTION);
+                }
+            });
+        } catch (e) {
+            console.warn('Failed to load key bindings:', e);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(KEYBINDINGS_KEY, JSON.stringify(this.bindings));
+        } catch (e) {
+            console.warn('Failed to save key bindings:', e);
+        }
+    }
+
+    getKeys(action) {
+        return this.bindings[action] || [];
+    }
+
+    /**
+     * Action bound to a key (null if unbound)
+     */
+    getAction(key) {
+        return Object.keys(this.bindings).find(action => this.bindings[action].includes(key)) || null;
+    }
+
+    /**
+     * Bind a key to an action slot (0 = primary, 1 = secondary)
+     * Returns { ok, reason, conflict } - a key used by another action is rejected
+     */
+    setKey(action, slot, key) {
+        if (RESERVED_KEYS.includes(key)) {
+            return { ok: false, reason: 'reserved' };
+        }
+
+        const conflict = this.getAction(key);
+        if (conflict && conflict !== action) {
+            return { ok: false, reason: 'conflict', conflict };
+        }
+
+        const keys = this.getKeys(action).filter(existing => existing !== key);
+        keys.splice(Math.min(slot, keys.length), 1, key);
+        this.bindings[action] = keys.slice(0, MAX_KEYS_PER_ACTION);
+        this.save();
+        return { ok: true };
+    }
+
+    /**
+     * Remove the key in an action slot
+     */
+    clearKey(action, slot) {
+        this.bindings[action] = this.getKeys(action).filter((key, index) => index !== slot);
+        this.save();
+    }
+
+    /**
+     * Keys bound to more than one action (possible in hand-edited or old saved maps)
+     */
+    getConflicts() {
+        const seen = {};
+        const conflicts = new Set();
+
+        Object.entries(this.bindings).forEach(([action, keys]) => {
+            keys.forEach(key => {
+                if (seen[key] && seen[key] !== action) {
+                    conflicts.add(key);
+                }
+                seen[key] = action;
+            });
+        });
+
+        return [...conflicts];
+    }
+
+    resetToDefaults() {
+        this.bindings = KeyBindings.getDefaults();
+        this.save();
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * Metrics that missions can track
+ */
+export const MissionMetric = {
+    DEBRIS_ABSORBED: 'debris_absorbed',
+    DEBRIS_HARVESTED: 'debris_harvested',
+    MASS: 'mass',
+    TIER: 'tier',
+    TREES_BUILT: 'trees_built',
+    ZONE_HEALTH: 'zone_health',  // Health of the healthiest zone
+    POLLUTION_DELIVERED: 'pollution_delivered'
+};
+
+/**
+ * Declarative mission definitions
+ * reward: { score, resources: { type: amount } }
+ * prerequisites: mission ids that must be completed first
+ * difficulty: minimum tier before the mission is offered
+ * Every mission tracks a metric the current rules advance (harvesting, deliveries, trees,
+ * zone health) and is paced by prerequisites: mass and tier don't grow in play, so missions
+ * on them (or gated behind them) could never be finished.
+ */
+export const MISSION_DEFINITIONS = [
+    {
+        id: 'absorb_10',
+        title: 'Debris Hunter',
+        description: 'Harvest 10 debris',
+        metric: MissionMetric.DEBRIS_HARVESTED,
+        target: 10,
+        difficulty: 1,
+        reward: { score: 100 },
+        prerequisites: []
+    },
+    {
+        id: 'deliver_pollution_10',
+        title: 'Clean Sweep',
+        description: 'Deliver 10 pollution to recyclers',
+        metric: MissionMetric.POLLUTION_DELIVERED,
+        target: 10,
+        difficulty: 1,
+        reward: { score: 150, resources: { metal: 10, plastic: 10 } },
+        prerequisites: []
+    },
+    {
+        id: 'plant_trees_3',
+        title: 'Green Thumb',
+        description: 'Build 3 trees',
+        metric: MissionMetric.TREES_BUILT,
+        target: 3,
+        difficulty: 1,
+        reward: { resources: { seeds: 3, organic: 15 } },
+        prerequisites: []
+    },
+    {
+        id: 'heal_zone_80',
+        title: 'Restoration',
+        description: 'Raise a zone to 80% health',
+        metric: MissionMetric.ZONE_HEALTH,
+        target: 80,
+        difficulty: 1,
+        reward: { score: 300, resources: { seeds: 5 } },
+        prerequisites: ['plant_trees_3']
+    },
+    {
+        id: 'absorb_50',
+        title: 'Mass Collector',
+        description: 'Harvest 50 debris',
+        metric: MissionMetric.DEBRIS_HARVESTED,
+        target: 50,
+        difficulty: 1,
+        reward: { score: 300 },
+        prerequisites: ['absorb_10']
+    },
+    {
+        id: 'deliver_pollution_50',
+        title: 'Pollution Purge',
+        description: 'Deliver 50 pollution to recyclers',
+        metric: MissionMetric.POLLUTION_DELIVERED,
+        target: 50,
+        difficulty: 1,
+        reward: { score: 400, resources: { metal: 25, plastic: 25 } },
+        prerequisites: ['deliver_pollution_10']
+    },
+    {
+        id: 'plant_trees_10',
+        title: 'Reforestation',
+        description: 'Build 10 trees',
+        metric: MissionMetric.TREES_BUILT,
+        target: 10,
+        difficulty: 1,
+        reward: { score: 400, resources: { seeds: 5, organic: 30 } },
+        prerequisites: ['plant_trees_3']
+    },
+    {
+        id: 'absorb_200',
+        title: 'Absorption Expert',
+        description: 'Harvest 200 debris',
+        metric: MissionMetric.DEBRIS_HARVESTED,
+        target: 200,
+        difficulty: 1,
+        reward: { score: 800 },
+        prerequisites: ['absorb_50']
+    },
+    {
+        id: 'plant_trees_25',
+        title: 'Forest Keeper',
+        description: 'Build 25 trees',
+        metric: MissionMetric.TREES_BUILT,
+        target: 25,
+        difficulty: 1,
+        reward: { score: 800, resources: { seeds: 10, organic: 50 } },
+        prerequisites: ['plant_trees_10']
+    },
+    {
+        id: 'heal_zone_100',
+        title: 'Full Recovery',
+        description: 'Restore a zone to 100% health',
+        metric: MissionMetric.ZONE_HEALTH,
+        target: 100,
+        difficulty: 1,
+        reward: { score: 600, resources: { seeds: 10 } },
+        prerequisites: ['heal_zone_80']
+    },
+    {
+        id: 'deliver_pollution_150',
+        title: 'Clean Orbit',
+        description: 'Deliver 150 pollution to recyclers',
+        metric: MissionMetric.POLLUTION_DELIVERED,
+        target: 150,
+        difficulty: 1,
+        reward: { score: 1000, resources: { metal: 50, plastic: 50 } },
+        prerequisites: ['deliver_pollution_50']
+    }
+];
+
+/**
+ * MissionSystem - Tracks mission metrics and up to three concurrent missions
+ */
+export class MissionSystem {
+    /**
+     * @param {Object} metricProviders - metric key -> function returning its live value
+     */
+    constructor(metricProviders = {}) {
+        this.metricProviders = metricProviders;
+        this.maxActiveMissions = 3;
+        this.refillDelay = 2;  // Seconds before a completed mission is replaced
+        this.reset();
+    }
+
+    /**
+     * Clear all progress for a new run
+     */
+    reset() {
+        this.metrics = {};
+        this.activeMissions = [];
+        this.completedMissions = [];
+        this.refillTimer = 0;
+    }
+
+    /**
+     * Get the current value of a metric
+     */
+    getMetric(metric) {
+        const provider = this.metricProviders[metric];
+        return provider ? provider() : (this.metrics[metric] || 0);
+    }
+
+    /**
+     * Add to a counter metric
+     */
+    incrementMetric(metric, amount = 1) {
+        this.metrics[metric] = (this.metrics[metric] || 0) + amount;
+    }
+
+    /**
+     * Set a gauge metric
+     */
+    setMetric(metric, value) {
+        this.metrics[metric] = value;
+    }
+
+    /**
+     * Get progress towards a mission (current value capped at target)
+     */
+    getProgress(mission) {
+        return Math.min(this.getMetric(mission.metric), mission.target);
+    }
+
+    /**
+     * Check if a mission can be offered right now
+     */
+    isAvailable(mission) {
+        return !this.completedMissions.includes(mission.id) &&
+            !this.activeMissions.includes(mission) &&
+            mission.difficulty <= this.getMetric(MissionMetric.TIER) &&
+            mission.prerequisites.every(id => this.completedMissions.includes(id));
+    }
+
+    /**
+     * Fill empty mission slots with available missions
+     */
+    fillActiveMissions() {
+        const started = [];
+
+        for (const mission of MISSION_DEFINITIONS) {
+            if (this.activeMissions.length >= this.maxActiveMissions) break;
+
+            if (this.isAvailable(mission)) {
+                this.activeMissions.push(mission);
+                started.push(mission);
+            }
+        }
+
+        return started;
+    }
+
+    /**
+     * Complete finished missions and refill slots after a short delay
+     * Returns the missions completed this update
+     */
+    update(deltaTime) {
+        const completed = this.activeMissions.filter(
+            mission => this.getMetric(mission.metric) >= mission.target
+        );
+
+        completed.forEach(mission => {
+            this.activeMissions.splice(this.activeMissions.indexOf(mission), 1);
+            this.completedMissions.push(mission.id);
+        });
+
+        if (completed.length > 0) {
+            this.refillTimer = this.refillDelay;
+        }
+
+        if (this.refillTimer > 0) {
+            this.refillTimer -= deltaTime;
+            if (this.refillTimer <= 0) {
+                this.fillActiveMissions();
+            }
+        } else if (this.activeMissions.length < this.maxActiveMissions) {
+            // Pick up missions unlocked by tier or prerequisites
+            this.fillActiveMissions();
+        }
+
+        return completed;
+    }
+
+    /**
+     * Get number of completed missions
+     */
+    getCompletedCount() {
+        return this.completedMissions.length;
+    }
+
+    /**
+     * Snapshot of mission progress for saving
+     */
+    serialize() {
+        return {
+            active: this.activeMissions.map(mission => mission.id),
+            completed: [...this.completedMissions],
+            metrics: { ...this.metrics }
+        };
+    }
+
+    /**
+     * Restore mission progress from a saved snapshot
+     */
+    deserialize(data) {
+        this.reset();
+        this.completedMissions = [...data.completed];
+        this.metrics = { ...data.metrics };
+        this.activeMissions = data.active
+            .map(id => MISSION_DEFINITIONS.find(mission => mission.id === id))
+            .filter(Boolean);
+        this.fillActiveMissions();
+    }
+}
@@ -0,0 +1,168 @@
+// Object Pool for efficient memory management
+// acquire/release are O(1): each active object remembers its slot, and release
+// swaps the last active object into the freed slot (so active order is not spawn order).
+export class ObjectPool {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxSize - Hard cap on active objects (default: unbounded)
+     * @param {string} options.eviction - At the cap: 'oldest', 'farthest' (needs getDistance) or 'none' (acquire returns null)
+     * @param {Function} options.getDistance - obj => distance, used by 'farthest'
+     * @param {number} options.shrinkDelay - Seconds mostly idle before spare objects are dropped
+     */
+    constructor(createFn, resetFn, initialSize = 50, options = {}) {
+        this.createFn = createFn;
+        this.resetFn = resetFn;
+        this.initialSize = initialSize;
+        this.maxSize = options.maxSize ?? Infinity;
+        this.eviction = options.eviction ?? 'oldest';
+        this.getDistance = options.getDistance ?? null;
+        this.shrinkDelay = options.shrinkDelay ?? 10;
+        
+        this.pool = [];
+        this.active = [];
+        this.slots = new Map();     // Active object -> index in this.active
+        this.acquiredAt = new Map(); // Active object -> acquire serial, for 'oldest' eviction
+        this.serial = 0;
+        this.idleTime = 0;
+        
+        this.stats = {
+            allocations: 0, // Objects created
+            misses: 0,      // Acquires that found the free list empty
+            evictions: 0,   // Active objects reclaimed at the cap
+            discarded: 0,   // Spare objects dropped by shrinkToFit
+            highWater: 0    // Most objects active at once
+        };
+        
+        // Pre-create objects
+        for (let i = 0; i < initialSize; i++) {
+            this.pool.push(this.allocate());
+        }
+    }
+
+    allocate() {
+        this.stats.allocations++;
+        return this.createFn();
+    }
+
+    acquire() {
+        if (this.active.length >= this.maxSize) {
+            const victim = this.findEvictionVictim();
+            if (!victim) return null;
+            
+            this.release(victim);
+            this.stats.evictions++;
+        }
+        
+        let obj;
+        if (this.pool.length > 0) {
+            obj = this.pool.pop();
+        } else {
+            obj = this.allocate();
+            this.stats.misses++;
+        }
+        
+        this.slots.set(obj, this.active.length);
+        this.acquiredAt.set(obj, this.serial++);
+        this.active.push(obj);
+        this.stats.highWater = Math.max(this.stats.highWater, this.active.length);
+        return obj;
+    }
+
+    findEvictionVictim() {
+        let victim = null;
+        let best = -Infinity;
+        
+        if (this.eviction === 'oldest') {
+            this.active.forEach(obj => {
+                const age = -this.acquiredAt.get(obj);
+                if (age > best) {
+                    best = age;
+                    victim = obj;
+                }
+            });
+        } else if (this.eviction === 'farthest' && this.getDistance) {
+            this.active.forEach(obj => {
+                const distance = this.getDistance(obj);
+                if (distance > best) {
+                    best = distance;
+                    victim = obj;
+                }
+            });
+        }
+        
+        return victim;
+    }
+
+    release(obj) {
+        const index = this.slots.get(obj);
+        if (index === undefined) return;
+        
+        // Swap-remove: move the last active object into the freed slot
+        const last = this.active.pop();
+        if (last !== obj) {
+            this.active[index] = last;
+            this.slots.set(last, index);
+        }
+        
+        this.slots.delete(obj);
+        this.acquiredAt.delete(obj);
+        this.resetFn(obj);
+        this.pool.push(obj);
+    }
+
+    releaseAll() {
+        this.active.forEach(obj => {
+            this.resetFn(obj);
+            this.pool.push(obj);
+        });
+        this.active.length = 0;
+        this.slots.clear();
+        this.acquiredAt.clear();
+    }
+
+    getActive() {
+        return this.active;
+    }
+
+    isActive(obj) {
+        return this.slots.has(obj);
+    }
+
+    /**
+     * Drop spare objects beyond what the initial size needs
+     */
+    shrinkToFit() {
+        const keep = Math.max(0, this.initialSize - this.active.length);
+        if (this.pool.length <= keep) return;
+        
+        this.stats.discarded += this.pool.length - keep;
+        this.pool.length = keep;
+        this.idleTime = 0;
+    }
+
+    /**
+     * Shrink once the pool has been mostly idle (under a quarter in use) for shrinkDelay seconds
+     */
+    update(deltaTime) {
+        const total = this.active.length + this.pool.length;
+        const hasSpare = total > this.initialSize;
+        
+        if (hasSpare && this.active.length <= total / 4) {
+            this.idleTime += deltaTime;
+            if (this.idleTime >= this.shrinkDelay) {
+                this.shrinkToFit();
+            }
+        } else {
+            this.idleTime = 0;
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            active: this.active.length,
+            free: this.pool.length,
+            maxSize: this.maxSize
+        };
+    }
+}
@@ -0,0 +1,129 @@
+import * as THREE from 'three';
+
+const PARTICLE_VERTEX_SHADER = `
+uniform float pointScale;
+attribute vec3 particleColor;
+attribute float particleSize;
+attribute float particleAlpha;
+varying vec3 vColor;
+varying float vAlpha;
+
+void main() {
+    vColor = particleColor;
+    vAlpha = particleAlpha;
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    gl_PointSize = particleSize * pointScale / -mvPosition.z;
+    gl_Position = projectionMatrix * mvPosition;
+}
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+varying vec3 vColor;
+varying float vAlpha;
+
+void main() {
+    vec2 offset = gl_PointCoord - 0.5;
+    if (dot(offset, offset) > 0.25) discard; // Round points
+    gl_FragColor = vec4(vColor, vAlpha);
+    #include <colorspace_fragment>
+}
+`;
+
+/**
+ * ParticleRenderer - Draws all active particles as a single Points object.
+ * Particles are plain objects ({ position, scale, userData }) copied into
+ * the point buffers once per frame.
+ */
+export class ParticleRenderer {
+    /**
+     * @param {number} particleSize - World-space diameter of a particle at scale 1
+     */
+    constructor(scene, capacity = 512, particleSize = 0.4) {
+        this.scene = scene;
+        this.particleSize = particleSize;
+        this.capacity = 0;
+        this.points = null;
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                pointScale: { value: 1 }
+            },
+            vertexShader: PARTICLE_VERTEX_SHADER,
+            fragmentShader: PARTICLE_FRAGMENT_SHADER,
+            transparent: true,
+            depthWrite: false
+        });
+
+        this.allocate(capacity);
+    }
+
+    // (Re)create the point buffers with room for `capacity` particles
+    allocate(capacity) {
+        this.disposePoints();
+
+        const geometry = new THREE.BufferGeometry();
+        const attribute = (itemSize) =>
+            new THREE.BufferAttribute(new Float32Array(capacity * itemSize), itemSize).setUsage(THREE.DynamicDrawUsage);
+
+        geometry.setAttribute('position', attribute(3));
+        geometry.setAttribute('particleColor', attribute(3));
+        geometry.setAttribute('particleSize', attribute(1));
+        geometry.setAttribute('particleAlpha', attribute(1));
+        geometry.setDrawRange(0, 0);
+
+        this.points = new THREE.Points(geometry, this.material);
+        this.points.frustumCulled = false; // Particles spread across the whole play area
+        this.scene.add(this.points);
+        this.capacity = capacity;
+    }
+
+    /**
+     * Copy the active particles into the point buffers (call once per frame before rendering)
+     * @param {THREE.PerspectiveCamera} camera - Used to size points like world-space spheres
+     * @param {number} viewportHeight - Drawing buffer height in pixels
+     */
+    update(particles, camera, viewportHeight) {
+        const count = particles.length;
+        if (count > this.capacity) {
+            this.allocate(Math.max(count, this.capacity * 2));
+        }
+
+        const attributes = this.points.geometry.attributes;
+        const position = attributes.position;
+        const color = attributes.particleColor;
+        const size = attributes.particleSize;
+        const alpha = attributes.particleAlpha;
+
+        for (let i = 0; i < count; i++) {
+            const particle = particles[i];
+            const data = particle.userData;
+
+            position.setXYZ(i, particle.position.x, particle.position.y, particle.position.z);
+            color.setXYZ(i, data.color.r, data.color.g, data.color.b);
+            size.setX(i, this.particleSize * particle.scale.x);
+            alpha.setX(i, Math.max(0, data.opacity));
+        }
+
+        this.points.geometry.setDrawRange(0, count);
+        position.needsUpdate = true;
+        color.needsUpdate = true;
+        size.needsUpdate = true;
+        alpha.needsUpdate = true;
+
+        const halfFov = THREE.MathUtils.degToRad(camera.fov) / 2;
+        this.material.uniforms.pointScale.value = viewportHeight / (2 * Math.tan(halfFov));
+    }
+
+    disposePoints() {
+        if (!this.points) return;
+
+        this.scene.remove(this.points);
+        this.points.geometry.dispose();
+        this.points = null;
+    }
+
+    dispose() {
+        this.disposePoints();
+        this.material.dispose();
+    }
+}
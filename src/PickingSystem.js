@@ -0,0 +1,259 @@
+import * as THREE from 'three';
+import { BuildingType, BUILDING_CONFIGS, getLevelStats, getLevelScale, getMaxLevel } from './BuildingSystem.js';
+
+/**
+ * Kinds of world entity that can be picked
+ */
+export const PickKind = {
+    DEBRIS: 'debris',
+    BUILDING: 'building',
+    ZONE: 'zone',
+    NODE: 'node',
+    RECYCLER: 'recycler'
+};
+
+// Pick radius per kind for entities without one of their own (slightly generous, so small
+// or fast things are easy to hit; buildings grow with their level)
+const NODE_PICK_RADIUS = 4;
+const BUILDING_PICK_RADIUS = 3.5;
+const DEBRIS_PICK_PADDING = 0.5;
+
+const BUILDING_ICONS = {
+    [BuildingType.RECYCLER]: '♻️',
+    [BuildingType.TREE]: '🌳',
+    [BuildingType.OXYGEN_GENERATOR]: '💨'
+};
+
+function capitalize(text) {
+    return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+}
+
+function formatCost(cost) {
+    return Object.entries(cost).map(([type, amount]) => `${amount} ${type}`).join(', ');
+}
+
+/**
+ * PickingSystem - Casts a ray from a point on screen (the mouse, or the centre while the
+ * pointer is locked) into the world and finds the simulation entity it hits.
+ * Entities are tested as spheres around their simulation positions rather than against
+ * their meshes, so instanced debris and wireframe zones pick the same way as everything else.
+ * Zones are large and mostly empty, so anything else along the ray wins over them.
+ */
+export class PickingSystem {
+    /**
+     * @param {THREE.Camera} camera
+     * @param {Simulation} simulation
+     */
+    constructor(camera, simulation) {
+        this.camera = camera;
+        this.sim = simulation;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.sphere = new THREE.Sphere();
+        this.hitPoint = new THREE.Vector3();
+    }
+
+    /**
+     * Aim the ray through a screen position (pixels)
+     */
+    setFromScreen(x, y) {
+        this.pointer.set(
+            (x / window.innerWidth) * 2 - 1,
+            -(y / window.innerHeight) * 2 + 1
+        );
+        this.camera.updateMatrixWorld();
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        return this.raycaster.ray;
+    }
+
+    /**
+     * The ray last aimed with setFromScreen
+     */
+    getRay() {
+        return this.raycaster.ray;
+    }
+
+    /**
+     * Nearest entity under a screen position: { kind, entity, point, distance }, or null
+     */
+    pick(x, y) {
+        this.setFromScreen(x, y);
+
+        let best = null;
+        const test = (kind, entity, radius) => {
+            const distance = this.intersect(entity.position, radius);
+            if (distance === null) return;
+
+            // Zones only count when nothing else is in the way
+            const isZone = kind === PickKind.ZONE;
+            const bestIsZone = best?.kind === PickKind.ZONE;
+            if (!best || (bestIsZone && !isZone) || (isZone === bestIsZone && distance < best.distance)) {
+                best = { kind, entity, distance };
+            }
+        };
+
+        const sim = this.sim;
+        sim.debrisPool.getActive().forEach(debris => test(PickKind.DEBRIS, debris, debris.scale.x + DEBRIS_PICK_PADDING));
+        sim.debrisNodes.forEach(node => test(PickKind.NODE, node, NODE_PICK_RADIUS));
+        sim.recyclers.forEach(recycler => test(PickKind.RECYCLER, recycler, recycler.radius));
+        sim.buildings.getBuildings().forEach(building => test(PickKind.BUILDING, building, BUILDING_PICK_RADIUS * getLevelScale(building.level)));
+        sim.environment.getZones().forEach(zone => test(PickKind.ZONE, zone, zone.radius));
+
+        if (best) {
+            best.point = this.raycaster.ray.at(best.distance, new THREE.Vector3());
+        }
+        return best;
+    }
+
+    // Distance along the ray to a sphere (its far side if the camera is inside), or null
+    intersect(center, radius) {
+        this.sphere.center.copy(center);
+        this.sphere.radius = radius;
+
+        const hit = this.raycaster.ray.intersectSphere(this.sphere, this.hitPoint);
+        if (!hit) return null;
+
+        const distance = this.raycaster.ray.origin.distanceTo(hit);
+        return distance <= this.raycaster.far ? distance : null;
+    }
+
+    /**
+     * Whether a picked entity is still in the world
+     */
+    exists(pick) {
+        const sim = this.sim;
+        switch (pick.kind) {
+            case PickKind.DEBRIS: return sim.debrisPool.isActive(pick.entity);
+            case PickKind.BUILDING: return sim.buildings.getBuildings().includes(pick.entity);
+            case PickKind.ZONE: return sim.environment.getZones().includes(pick.entity);
+            case PickKind.NODE: return sim.debrisNodes.includes(pick.entity);
+            case PickKind.RECYCLER: return sim.recyclers.includes(pick.entity);
+            default: return false;
+        }
+    }
+
+    /**
+     * Radius the highlight around a picked entity is drawn at
+     */
+    getRadius(pick) {
+        switch (pick.kind) {
+            case PickKind.DEBRIS: return pick.entity.scale.x + DEBRIS_PICK_PADDING;
+            case PickKind.NODE: return NODE_PICK_RADIUS;
+            case PickKind.BUILDING: return BUILDING_PICK_RADIUS * getLevelScale(pick.entity.level);
+            default: return pick.entity.radius;
+        }
+    }
+
+    /**
+     * What the inspector shows for a picked entity: { icon, title, rows: [[label, value]], actions? }
+     * (actions are buttons: [{ action, label, disabled, confirm }])
+     * @param {{ confirmDemolish?: boolean, moving?: boolean }} options - Whether a demolish of the
+     *     entity is waiting to be confirmed, and whether it is being moved
+     */
+    describe(pick, options = {}) {
+        const sim = this.sim;
+        const entity = pick.entity;
+
+        switch (pick.kind) {
+            case PickKind.DEBRIS: {
+                const data = entity.userData;
+                let state = 'Drifting';
+                if (data.isCarried) state = 'Carried';
+                else if (data.seekingRecycler) state = 'Heading to a recycler';
+
+                return {
+                    icon: data.isResource ? '💎' : '🗑️',
+                    title: data.isResource ? 'Resource Debris' : 'Pollution Debris',
+                    rows: [
+                        ['Type', data.isResource ? capitalize(data.resourceType) : 'Pollution'],
+                        ['Mass', data.mass.toFixed(2)],
+                        ['Size', entity.scale.x.toFixed(2)],
+                        ['Speed', `${data.velocity.length().toFixed(1)} u/s`],
+                        ['State', state]
+                    ]
+                };
+            }
+
+            case PickKind.BUILDING: {
+                const config = BUILDING_CONFIGS[entity.type];
+                const stats = entity.stats;
+                const maxLevel = getMaxLevel(entity.type);
+                const rows = [
+                    ['Level', `${entity.level} / ${maxLevel}`],
+                    ['Effect', config.effect],
+                    ['Range', `${stats.radius} u`],
+                    ['Cost', formatCost(config.cost)]
+                ];
+
+                if (entity.type === BuildingType.RECYCLER) {
+                    const nearby = sim.debrisGrid.countInRadius(entity.position, stats.radius);
+                    rows.push(['Rate', `${stats.conversionRate} seeds/s per debris`]);
+                    rows.push(['Producing', `${(nearby * stats.conversionRate).toFixed(1)} seeds/s (${nearby} debris in range)`]);
+                } else {
+                    rows.push(['Producing', `${stats.oxygenRate} oxygen/s`]);
+                }
+                rows.push(['Demolish refund', formatCost(sim.getRefund(entity)) || 'Nothing']);
+
+                // What the next level brings, and whether the player can pay for it now
+                const upgradeCost = sim.buildings.getUpgradeCost(entity);
+                const actions = [];
+                if (upgradeCost) {
+                    const next = getLevelStats(entity.type, entity.level + 1);
+                    const gain = entity.type === BuildingType.RECYCLER
+                        ? `${next.conversionRate} seeds/s per debris, ${next.radius} u range`
+                        : `${next.oxygenRate} oxygen/s`;
+                    rows.push(['Next level', gain]);
+                    rows.push(['Upgrade cost', formatCost(upgradeCost)]);
+                    actions.push({ action: 'upgrade', label: '⬆️ Upgrade (U)', disabled: !sim.resources.canAfford(upgradeCost) });
+                } else {
+                    rows.push(['Upgrades', 'Fully upgraded']);
+                }
+
+                // Demolishing asks for a second press before it goes through
+                actions.push({ action: 'relocate', label: options.moving ? '✖️ Cancel Move' : '📦 Move (V)' });
+                actions.push(options.confirmDemolish
+                    ? { action: 'demolish', label: '⚠️ Confirm', confirm: true }
+                    : { action: 'demolish', label: '🗑️ Demolish (X)' });
+
+                return { icon: BUILDING_ICONS[entity.type] ?? '🏗️', title: config.name, rows, actions };
+            }
+
+            case PickKind.ZONE: {
+                const trend = entity.cleanRate - entity.degradeRate;
+                return {
+                    icon: '🌍',
+                    title: 'Environmental Zone',
+                    rows: [
+                        ['Health', `${Math.floor(entity.health)}%`],
+                        ['Trend', `${trend >= 0 ? '+' : ''}${trend.toFixed(1)}%/s`],
+                        ['Trees nearby', Math.round(entity.cleanRate / 3)],
+                        ['Radius', `${entity.radius} u`]
+                    ]
+                };
+            }
+
+            case PickKind.NODE:
+                return {
+                    icon: '💠',
+                    title: 'Debris Node',
+                    rows: [
+                        ['Spawns every', `${(entity.spawnRate / 1000).toFixed(1)} s`],
+                        ['Debris out', `${entity.activeDebris.length} / ${entity.maxDebris}`]
+                    ]
+                };
+
+            case PickKind.RECYCLER:
+                return {
+                    icon: '♻️',
+                    title: 'Recycler Globe',
+                    rows: [
+                        ['Radius', `${entity.radius} u`],
+                        ['Pull strength', entity.pullStrength]
+                    ]
+                };
+
+            default:
+                return null;
+        }
+    }
+}
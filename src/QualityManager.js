@@ -0,0 +1,197 @@
+import * as THREE from 'three';
+
+/**
+ * Graphics quality levels, lowest first
+ */
+export const QualityLevel = {
+    LOW: 'low',
+    MEDIUM: 'medium',
+    HIGH: 'high'
+};
+
+/**
+ * Quality modes offered in the settings menu ('auto' follows measured FPS)
+ */
+export const QUALITY_MODES = ['low', 'medium', 'high', 'auto'];
+
+/**
+ * Settings applied at each quality level
+ */
+export const QUALITY_PRESETS = {
+    [QualityLevel.LOW]: {
+        pixelRatio: 1,            // Cap on window.devicePixelRatio
+        starCount: 600,
+        sphereSegments: 12,       // Detailed spheres (player, gravity field)
+        simpleSphereSegments: 8,  // Background spheres (zones, recyclers, generators)
+        glowShells: false,        // Back-face glow around the player and debris
+        particleScale: 0.3,       // Multiplier on particles per effect
+        maxDebris: 50
+    },
+    [QualityLevel.MEDIUM]: {
+        pixelRatio: 1.5,
+        starCount: 1200,
+        sphereSegments: 20,
+        simpleSphereSegments: 12,
+        glowShells: true,
+        particleScale: 0.6,
+        maxDebris: 70
+    },
+    [QualityLevel.HIGH]: {
+        pixelRatio: 2,
+        starCount: 2000,
+        sphereSegments: 32,
+        simpleSphereSegments: 16,
+        glowShells: true,
+        particleScale: 1,
+        maxDebris: 90
+    }
+};
+
+const QUALITY_KEY = 'gravshift_quality';
+const LEVELS = [QualityLevel.LOW, QualityLevel.MEDIUM, QualityLevel.HIGH];
+
+/**
+ * Swap a sphere mesh's geometry for one with a different segment count
+ */
+export function setSphereSegments(mesh, segments) {
+    const { radius } = mesh.geometry.parameters;
+    mesh.geometry.dispose();
+    mesh.geometry = new THREE.SphereGeometry(radius, segments, segments);
+}
+
+/**
+ * QualityManager - Picks a quality level from the player's preset, or in Auto
+ * mode steps it down when frames run over budget and back up when there is headroom
+ */
+export class QualityManager {
+    constructor() {
+        this.mode = 'auto';
+        this.level = QualityLevel.HIGH;
+        this.listeners = new Set();
+
+        // Auto mode tuning (seconds)
+        this.slowFrameTime = 1 / 50;   // Average frame time above this is over budget
+        this.fastFrameTime = 1 / 57;   // Average below this (near 60 FPS) counts as headroom
+        this.downgradeDelay = 2;
+        this.minUpgradeDelay = 10;
+        this.maxUpgradeDelay = 120;
+
+        this.resetAuto();
+        this.load();
+    }
+
+    load() {
+        let saved;
+        try {
+            saved = localStorage.getItem(QUALITY_KEY);
+        } catch (e) {
+            console.warn('Failed to load quality setting:', e);
+            return;
+        }
+        if (!QUALITY_MODES.includes(saved)) return;
+
+        this.mode = saved;
+        if (saved !== 'auto') {
+            this.level = saved;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(QUALITY_KEY, this.mode);
+        } catch (e) {
+            console.warn('Failed to save quality setting:', e);
+        }
+    }
+
+    resetAuto() {
+        this.averageFrameTime = 1 / 60;
+        this.slowTime = 0;
+        this.fastTime = 0;
+        this.upgradeDelay = this.minUpgradeDelay;
+        this.lastUpgradeAge = Infinity; // Seconds since auto last raised the level
+    }
+
+    /**
+     * Choose a preset ('low', 'medium', 'high') or 'auto'
+     */
+    setMode(mode) {
+        if (!QUALITY_MODES.includes(mode)) return;
+
+        this.mode = mode;
+        this.resetAuto();
+        this.save();
+
+        if (mode === 'auto') {
+            this.notifyListeners();
+        } else {
+            this.setLevel(mode, true);
+        }
+    }
+
+    setLevel(level, force = false) {
+        if (level === this.level && !force) return;
+
+        this.level = level;
+        this.notifyListeners();
+    }
+
+    getSettings() {
+        return QUALITY_PRESETS[this.level];
+    }
+
+    /**
+     * Feed one rendered frame's duration (seconds); only acts in Auto mode
+     */
+    update(frameTime) {
+        // Ignore hitches such as tab switches
+        if (this.mode !== 'auto' || frameTime >= 0.25) return;
+
+        this.averageFrameTime += (frameTime - this.averageFrameTime) * 0.05;
+        this.lastUpgradeAge += frameTime;
+
+        const index = LEVELS.indexOf(this.level);
+
+        if (this.averageFrameTime > this.slowFrameTime) {
+            this.fastTime = 0;
+            this.slowTime += frameTime;
+
+            if (this.slowTime >= this.downgradeDelay && index > 0) {
+                // Dropping right after an upgrade means that level can't hold; wait longer next time
+                if (this.lastUpgradeAge < this.minUpgradeDelay) {
+                    this.upgradeDelay = Math.min(this.upgradeDelay * 2, this.maxUpgradeDelay);
+                }
+                this.slowTime = 0;
+                this.setLevel(LEVELS[index - 1]);
+            }
+        } else if (this.averageFrameTime < this.fastFrameTime) {
+            this.slowTime = 0;
+            this.fastTime += frameTime;
+
+            if (this.fastTime >= this.upgradeDelay && index < LEVELS.length - 1) {
+                this.fastTime = 0;
+                this.lastUpgradeAge = 0;
+                this.setLevel(LEVELS[index + 1]);
+            }
+        } else {
+            this.slowTime = 0;
+            this.fastTime = 0;
+        }
+    }
+
+    /**
+     * Subscribe to quality changes: callback(settings, level, mode)
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+        // Immediately notify with current state
+        callback(this.getSettings(), this.level, this.mode);
+
+        // Return unsubscribe function
+        return () => this.listeners.delete(callback);
+    }
+
+    notifyListeners() {
+        this.listeners.forEach(callback => callback(this.getSettings(), this.level, this.mode));
+    }
+}
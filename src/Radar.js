@@ -0,0 +1,302 @@
+import { BUILDING_CONFIGS } from './BuildingSystem.js';
+
+const RADAR_KEY = 'gravshift_radar';
+
+// Radar range (world units from the centre to the rim) per zoom level
+const ZOOM_RANGES = [60, 120, 240];
+
+// Height difference (world units) before a blip gets an above/below marker
+const VERTICAL_THRESHOLD = 5;
+
+// Debris within one radar cell counts as a cluster from this many pieces
+const CLUSTER_MIN_DEBRIS = 6;
+const CLUSTER_CELLS = 8; // Cells across the radar radius
+
+/**
+ * Radar - Top-down minimap drawn on a 2D canvas in the HUD.
+ * Shows debris nodes, recyclers, environmental zones (colored by health), buildings and
+ * dense debris clusters around the player, rotated so the camera's view points up.
+ * Blips above or below the player get a ▲/▼ marker and fade with height difference.
+ * Nodes and recyclers out of range stay pinned to the rim so they can always be found.
+ */
+export class Radar {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas?.getContext('2d') ?? null;
+        this.visible = true;
+        this.zoomIndex = 1;
+        this.size = 0;
+
+        this.clusters = new Map();
+
+        this.load();
+        this.applyVisibility();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(RADAR_KEY));
+            if (saved) {
+                this.visible = saved.visible !== false;
+                this.zoomIndex = Math.min(Math.max(saved.zoomIndex ?? 1, 0), ZOOM_RANGES.length - 1);
+            }
+        } catch (e) {
+            console.warn('Failed to load radar settings:', e);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(RADAR_KEY, JSON.stringify({ visible: this.visible, zoomIndex: this.zoomIndex }));
+        } catch (e) {
+            console.warn('Failed to save radar settings:', e);
+        }
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.save();
+        this.applyVisibility();
+        return this.visible;
+    }
+
+    /**
+     * Step to the next zoom level (wrapping back to the closest); returns the new range
+     */
+    cycleZoom() {
+        this.zoomIndex = (this.zoomIndex + 1) % ZOOM_RANGES.length;
+        this.save();
+        return this.getRange();
+    }
+
+    getRange() {
+        return ZOOM_RANGES[this.zoomIndex];
+    }
+
+    applyVisibility() {
+        this.canvas?.classList.toggle('hidden', !this.visible);
+    }
+
+    // Match the canvas buffer to its displayed size (and the screen's pixel density)
+    resize() {
+        const size = this.canvas.clientWidth;
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        if (size === this.size && this.canvas.width === Math.round(size * ratio)) return;
+
+        this.size = size;
+        this.canvas.width = this.canvas.height = Math.round(size * ratio);
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
+
+    /**
+     * Redraw the radar around a position
+     * @param {Simulation} sim - World to show
+     * @param {THREE.Vector3} center - The player's (rendered) position
+     * @param {THREE.Vector3} viewDirection - Camera direction; its heading is drawn as up
+     */
+    update(sim, center, viewDirection) {
+        if (!this.visible || !this.ctx) return;
+
+        this.resize();
+        if (this.size === 0) return;
+
+        const ctx = this.ctx;
+        const radius = this.size / 2;
+        const range = this.getRange();
+
+        // Heading of the camera on the horizontal plane (straight down keeps the last one)
+        if (Math.abs(viewDirection.x) > 1e-4 || Math.abs(viewDirection.z) > 1e-4) {
+            this.heading = Math.atan2(viewDirection.x, viewDirection.z);
+        }
+        const sin = Math.sin(this.heading ?? Math.PI);
+        const cos = Math.cos(this.heading ?? Math.PI);
+
+        // World position -> radar pixels (forward is up, right is right)
+        const project = (position, pinToRim = false) => {
+            const dx = position.x - center.x;
+            const dz = position.z - center.z;
+            const forward = dx * sin + dz * cos;
+            const right = dx * -cos + dz * sin;
+
+            let x = right / range * radius;
+            let y = -forward / range * radius;
+            const distance = Math.hypot(x, y);
+            const outside = distance > radius - 4;
+            if (outside && pinToRim) {
+                x *= (radius - 4) / distance;
+                y *= (radius - 4) / distance;
+            }
+
+            return { x: radius + x, y: radius + y, outside, height: position.y - center.y };
+        };
+
+        ctx.clearRect(0, 0, this.size, this.size);
+        ctx.save();
+
+        // Round screen with range rings
+        ctx.beginPath();
+        ctx.arc(radius, radius, radius - 1, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(0, 10, 25, 0.75)';
+        ctx.fill();
+        ctx.clip();
+
+        ctx.strokeStyle = 'rgba(100, 200, 255, 0.15)';
+        ctx.lineWidth = 1;
+        [0.33, 0.66].forEach(fraction => {
+            ctx.beginPath();
+            ctx.arc(radius, radius, radius * fraction, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        // Zones: health-colored discs at their true size
+        sim.environment.getZones().forEach(zone => {
+            const blip = project(zone.position);
+            const zoneRadius = zone.radius / range * radius;
+            ctx.globalAlpha = this.heightAlpha(blip.height) * 0.6;
+            ctx.fillStyle = this.healthColor(zone.health, 0.35);
+            ctx.strokeStyle = this.healthColor(zone.health, 1);
+            ctx.beginPath();
+            ctx.arc(blip.x, blip.y, Math.max(zoneRadius, 3), 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+
+        // Debris clusters
+        this.findClusters(sim.debrisPool.getActive(), center, range).forEach(cluster => {
+            const blip = project(cluster.position);
+            if (blip.outside) return;
+            ctx.globalAlpha = this.heightAlpha(blip.height) * 0.7;
+            ctx.fillStyle = 'rgba(255, 170, 0, 0.5)';
+            ctx.beginPath();
+            ctx.arc(blip.x, blip.y, Math.min(3 + Math.sqrt(cluster.count), 10), 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Buildings: small squares in their own color
+        sim.buildings.getBuildings().forEach(building => {
+            const blip = project(building.position);
+            if (blip.outside) return;
+            const color = BUILDING_CONFIGS[building.type]?.color ?? 0xffffff;
+            this.drawBlip(blip, `#${color.toString(16).padStart(6, '0')}`, 'square', 3);
+        });
+
+        // Debris nodes and recyclers (kept on the rim when out of range)
+        sim.debrisNodes.forEach(node => {
+            this.drawBlip(project(node.position, true), '#00ffff', 'diamond', 4);
+        });
+        sim.recyclers.forEach(recycler => {
+            this.drawBlip(project(recycler.position, true), '#ff3333', 'ring', 4);
+        });
+
+        // The player, with a wedge for the camera's view
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = 'rgba(100, 200, 255, 0.15)';
+        ctx.beginPath();
+        ctx.moveTo(radius, radius);
+        ctx.arc(radius, radius, radius, -Math.PI / 2 - 0.5, -Math.PI / 2 + 0.5);
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.fillStyle = '#64c8ff';
+        ctx.beginPath();
+        ctx.arc(radius, radius, 3, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.restore();
+
+        // Rim and zoom label
+        ctx.strokeStyle = 'rgba(100, 200, 255, 0.5)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(radius, radius, radius - 1, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(100, 200, 255, 0.8)';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${range}m`, radius, this.size - 8);
+    }
+
+    // One marker, with ▲/▼ when it is well above or below the player
+    drawBlip(blip, color, shape, size) {
+        const ctx = this.ctx;
+        ctx.globalAlpha = blip.outside ? 0.6 : this.heightAlpha(blip.height);
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+
+        if (shape === 'square') {
+            ctx.rect(blip.x - size, blip.y - size, size * 2, size * 2);
+            ctx.fill();
+        } else if (shape === 'diamond') {
+            ctx.moveTo(blip.x, blip.y - size - 1);
+            ctx.lineTo(blip.x + size, blip.y);
+            ctx.lineTo(blip.x, blip.y + size + 1);
+            ctx.lineTo(blip.x - size, blip.y);
+            ctx.closePath();
+            ctx.fill();
+        } else {
+            ctx.arc(blip.x, blip.y, size, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        if (Math.abs(blip.height) > VERTICAL_THRESHOLD) {
+            const up = blip.height > 0;
+            const tipY = up ? blip.y - size - 8 : blip.y + size + 8;
+            const baseY = up ? tipY + 4 : tipY - 4;
+            ctx.beginPath();
+            ctx.moveTo(blip.x, tipY);
+            ctx.lineTo(blip.x + 3, baseY);
+            ctx.lineTo(blip.x - 3, baseY);
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
+
+    // Fade blips the further they are above or below the player
+    heightAlpha(height) {
+        return Math.max(0.35, 1 - Math.abs(height) / this.getRange());
+    }
+
+    // Red (0) through yellow (50) to green (100), like the zones in the world
+    healthColor(health, alpha) {
+        return `hsla(${Math.round(health * 1.2)}, 100%, 50%, ${alpha})`;
+    }
+
+    // Bin nearby debris into radar cells and keep the crowded ones
+    findClusters(debris, center, range) {
+        const cellSize = range / CLUSTER_CELLS;
+        const clusters = this.clusters;
+        clusters.clear();
+
+        debris.forEach(piece => {
+            const { position } = piece;
+            if (Math.abs(position.x - center.x) > range || Math.abs(position.z - center.z) > range) return;
+
+            const key = `${Math.floor(position.x / cellSize)},${Math.floor(position.z / cellSize)}`;
+            let cluster = clusters.get(key);
+            if (!cluster) {
+                cluster = { count: 0, x: 0, y: 0, z: 0 };
+                clusters.set(key, cluster);
+            }
+            cluster.count++;
+            cluster.x += position.x;
+            cluster.y += position.y;
+            cluster.z += position.z;
+        });
+
+        const result = [];
+        clusters.forEach(cluster => {
+            if (cluster.count < CLUSTER_MIN_DEBRIS) return;
+            result.push({
+                count: cluster.count,
+                position: { x: cluster.x / cluster.count, y: cluster.y / cluster.count, z: cluster.z / cluster.count }
+            });
+        });
+        return result;
+    }
+}
@@ -1,7 +1,10 @@
 // Render Manager - Handles all rendering logic separately from game loop
 export class RenderManager {
-    constructor(gameEngine) {
+    constructor(gameEngine, simulation, quality, lifecycle) {
         this.engine = gameEngine;
+        this.sim = simulation;
+        this.quality = quality;
+        this.lifecycle = lifecycle;
         this.renderStats = {
             fps: 0,
             frameTime: 0,
@@ -80,17 +83,48 @@ export class RenderManager {
 
     updateDebugDisplay(element) {
         const stats = this.getStats();
-        const pool = this.engine.debrisPool;
-        const particles = this.engine.particlePool;
         
         element.innerHTML = `
             <div><strong>RENDER STATS</strong></div>
             <div>FPS: ${stats.fps}</div>
             <div>Frame Time: ${stats.frameTime.toFixed(2)}ms</div>
             <div>Draw Calls: ${stats.drawCalls}</div>
+            <div>Quality: ${this.quality.level} (${this.quality.mode})</div>
             <div><strong>OBJECT POOLS</strong></div>
-            <div>Debris: ${pool.getActive().length}/${pool.pool.length + pool.getActive().length}</div>
-            <div>Particles: ${particles.getActive().length}/${particles.pool.length + particles.getActive().length}</div>
+            ${this.formatPoolStats('Debris', this.sim.debrisPool)}
+            ${this.formatPoolStats('Particles', this.engine.particlePool)}
+            <div><strong>GPU MEMORY</strong></div>
+            ${this.formatLeakCheck()}
+        `;
+    }
+
+    // Live geometry/texture counts, and whether they settle back after each run
+    formatLeakCheck() {
+        const report = this.lifecycle.getLeakReport();
+        
+        let check = '<div>Leak check: after first run</div>';
+        if (report.teardowns > 1) {
+            const leaked = report.leakedGeometries > 0 || report.leakedTextures > 0;
+            check = leaked
+                ? `<div style="color: #ff6464">Leak check: +${report.leakedGeometries} geo, +${report.leakedTextures} tex over ${report.teardowns} runs</div>`
+                : `<div>Leak check: OK over ${report.teardowns} runs</div>`;
+        }
+        
+        return `
+            <div>Geometries: ${report.geometries} · Textures: ${report.textures}</div>
+            ${check}
+        `;
+    }
+
+    // Usage line plus telemetry for one object pool
+    formatPoolStats(label, pool) {
+        const stats = pool.getStats();
+        const cap = Number.isFinite(stats.maxSize) ? stats.maxSize : '∞';
+        
+        return `
+            <div>${label}: ${stats.active}/${stats.active + stats.free} (cap ${cap})</div>
+            <div>&nbsp;peak ${stats.highWater} · alloc ${stats.allocations} · miss ${stats.misses}</div>
+            <div>&nbsp;evicted ${stats.evictions} · trimmed ${stats.discarded}</div>
         `;
     }
 
@@ -0,0 +1,208 @@
+/**
+ * Replay file format version
+ */
+export const REPLAY_VERSION = 1;
+
+// Input flag bits in a recorded frame
+const FLAG_BOOST = 1;
+const FLAG_RECYCLE = 2;
+
+/**
+ * ReplaySystem - Records per-tick input and game commands for a seeded run,
+ * and plays them back tick by tick.
+ *
+ * Recording format (compact JSON):
+ *   frames: [tick, moveX, moveY, moveZ, flags] - only written when input changes
+ *   events: [tick, type, ...args]              - commands such as 'gravity' or 'place'
+ */
+export class ReplaySystem {
+    constructor() {
+        this.mode = 'idle'; // 'idle', 'recording', 'playing'
+        this.recording = null;
+        this.lastFrame = null;
+        this.frameCursor = 0;
+        this.eventCursor = 0;
+    }
+
+    /**
+     * Round a number so live play and playback use identical values
+     */
+    static quantize(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    /**
+     * Parse and validate a replay file (returns null if invalid)
+     */
+    static parse(json) {
+        try {
+            const data = JSON.parse(json);
+            if (data.version !== REPLAY_VERSION ||
+                typeof data.seed !== 'number' ||
+                !Array.isArray(data.frames) ||
+                !Array.isArray(data.events)) {
+                return null;
+            }
+            return data;
+        } catch (e) {
+            console.warn('Failed to parse replay:', e);
+            return null;
+        }
+    }
+
+    isRecording() {
+        return this.mode === 'recording';
+    }
+
+    isPlaying() {
+        return this.mode === 'playing';
+    }
+
+    /**
+     * Start recording a fresh run
+     */
+    startRecording(seed, tickRate, achievements = []) {
+        this.mode = 'recording';
+        this.lastFrame = null;
+        this.recording = {
+            version: REPLAY_VERSION,
+            seed,
+            tickRate,
+            ticks: 0,
+            achievements,
+            recordedAt: new Date().toISOString(),
+            frames: [],
+            events: []
+        };
+    }
+
+    /**
+     * Record the input state used for a tick (skipped if unchanged)
+     */
+    recordFrame(tick, input) {
+        if (!this.isRecording()) return;
+
+        const flags = (input.boost ? FLAG_BOOST : 0) | (input.recycle ? FLAG_RECYCLE : 0);
+        const frame = [tick, input.move.x, input.move.y, input.move.z, flags];
+
+        const last = this.lastFrame;
+        if (last && last[1] === frame[1] && last[2] === frame[2] &&
+            last[3] === frame[3] && last[4] === frame[4]) {
+            return;
+        }
+
+        this.recording.frames.push(frame);
+        this.lastFrame = frame;
+    }
+
+    /**
+     * Record a command applied before the given tick
+     * Camera drags within the same tick are merged into one event
+     */
+    recordEvent(tick, type, args = []) {
+        if (!this.isRecording()) return;
+
+        const events = this.recording.events;
+        const last = events[events.length - 1];
+        if (type === 'camera' && last && last[0] === tick && last[1] === 'camera') {
+            last[2] = ReplaySystem.quantize(last[2] + args[0]);
+            last[3] = ReplaySystem.quantize(last[3] + args[1]);
+            return;
+        }
+
+        events.push([tick, type, ...args]);
+    }
+
+    /**
+     * Current recording with its length set to the given tick count
+     */
+    getRecording(ticks) {
+        if (!this.recording) return null;
+
+        if (this.isRecording()) {
+            this.recording.ticks = ticks;
+        }
+        return this.recording;
+    }
+
+    /**
+     * Finish recording (the recording stays available for export)
+     */
+    stopRecording(ticks) {
+        if (!this.isRecording()) return;
+
+        this.recording.ticks = ticks;
+        this.mode = 'idle';
+    }
+
+    /**
+     * Start playing back a recording from tick 0
+     */
+    startPlayback(recording) {
+        this.mode = 'playing';
+        this.recording = recording;
+        this.rewind();
+    }
+
+    /**
+     * Go back to the start of the recording
+     */
+    rewind() {
+        this.frameCursor = 0;
+        this.eventCursor = 0;
+    }
+
+    /**
+     * Input state recorded for a tick (ticks must be read in order)
+     */
+    getFrame(tick) {
+        const frames = this.recording.frames;
+
+        while (this.frameCursor + 1 < frames.length && frames[this.frameCursor + 1][0] <= tick) {
+            this.frameCursor++;
+        }
+
+        const frame = frames[this.frameCursor];
+        if (!frame || frame[0] > tick) {
+            return { move: { x: 0, y: 0, z: 0 }, boost: false, recycle: false };
+        }
+
+        return {
+            move: { x: frame[1], y: frame[2], z: frame[3] },
+            boost: (frame[4] & FLAG_BOOST) !== 0,
+            recycle: (frame[4] & FLAG_RECYCLE) !== 0
+        };
+    }
+
+    /**
+     * Commands recorded before a tick, as { type, args }
+     */
+    getEvents(tick) {
+        const events = this.recording.events;
+        const due = [];
+
+        while (this.eventCursor < events.length && events[this.eventCursor][0] <= tick) {
+            const [, type, ...args] = events[this.eventCursor];
+            due.push({ type, args });
+            this.eventCursor++;
+        }
+
+        return due;
+    }
+
+    /**
+     * Total ticks in the recording being played
+     */
+    getLength() {
+        return this.recording ? this.recording.ticks : 0;
+    }
+
+    /**
+     * Drop the current recording (continued runs and finished playback)
+     */
+    clear() {
+        this.mode = 'idle';
+        this.recording = null;
+        this.lastFrame = null;
+    }
+}
@@ -4,15 +4,49 @@
  */
 export class ResourceSystem {
     constructor() {
-        this.resources = {
+        this.resources = ResourceSystem.getStartingResources();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Resources a new run starts with
+     */
+    static getStartingResources() {
+        return {
             plastic: 0,
             metal: 0,
             organic: 0,
             seeds: 0,
             oxygen: 100  // Start at 100%
         };
-        
-        this.listeners = new Set();
+    }
+
+    /**
+     * Restore starting resources for a new run
+     */
+    reset() {
+        this.resources = ResourceSystem.getStartingResources();
+        this.notifyListeners();
+    }
+
+    /**
+     * Snapshot of resources for saving
+     */
+    serialize() {
+        return this.getResources();
+    }
+
+    /**
+     * Restore resources from a saved snapshot
+     */
+    deserialize(data) {
+        this.resources = ResourceSystem.getStartingResources();
+        Object.keys(this.resources).forEach(type => {
+            if (typeof data[type] === 'number') {
+                this.resources[type] = data[type];
+            }
+        });
+        this.notifyListeners();
     }
 
     /**
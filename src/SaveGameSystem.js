@@ -0,0 +1,81 @@
+/**
+ * SaveGameSystem - Persists an in-progress run to localStorage
+ * Each system serializes its own slice; this class only stores the snapshot.
+ */
+export const SAVE_VERSION = 3;
+
+const SAVE_KEY = 'gravshift_save';
+
+export class SaveGameSystem {
+    /**
+     * Store a run snapshot, replacing any previous save
+     */
+    save(snapshot) {
+        const data = {
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            ...snapshot
+        };
+
+        try {
+            localStorage.setItem(SAVE_KEY, JSON.stringify(data));
+            return true;
+        } catch (e) {
+            console.warn('Failed to save game:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Load the saved run (returns null if missing, corrupt or outdated)
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(SAVE_KEY);
+            if (!saved) return null;
+
+            const data = JSON.parse(saved);
+            if (data.version !== SAVE_VERSION) {
+                console.warn(`Discarding save with unsupported version ${data.version}`);
+                return null;
+            }
+            return data;
+        } catch (e) {
+            console.warn('Failed to load saved game:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Check if a usable save exists
+     */
+    hasSave() {
+        return this.load() !== null;
+    }
+
+    /**
+     * Short summary of the saved run for the main menu
+     */
+    getSaveInfo() {
+        const data = this.load();
+        if (!data) return null;
+
+        return {
+            savedAt: data.savedAt,
+            score: data.gameState.score,
+            tier: data.gameState.tier,
+            time: data.gameState.timeElapsed
+        };
+    }
+
+    /**
+     * Delete the saved run
+     */
+    clear() {
+        try {
+            localStorage.removeItem(SAVE_KEY);
+        } catch (e) {
+            console.warn('Failed to delete saved game:', e);
+        }
+    }
+}
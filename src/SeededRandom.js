@@ -0,0 +1,116 @@
+/**
+ * SeededRandom - Deterministic pseudo-random number generator (mulberry32)
+ * A run started with the same seed makes the same spawn decisions.
+ */
+export class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Pick a fresh random seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Turn user input into a seed (numbers are used as-is, text is hashed)
+     */
+    static parseSeed(value) {
+        if (value === null || value === undefined) return null;
+
+        const text = String(value).trim();
+        if (text === '') return null;
+
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a hash for text seeds
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Read a ?seed= parameter from the page URL (null if absent)
+     */
+    static getSeedFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        return SeededRandom.parseSeed(params.get('seed'));
+    }
+
+    /**
+     * Restart the sequence from a seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * True with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Independent generator seeded from this one, for streams that
+     * shouldn't shift gameplay rolls (e.g. the star field)
+     */
+    fork() {
+        return new SeededRandom(Math.floor(this.next() * 0x100000000));
+    }
+
+    /**
+     * Current position in the sequence (for saving)
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Resume from a saved position
+     */
+    setState(saved) {
+        this.seed = saved.seed >>> 0;
+        this.state = saved.state >>> 0;
+    }
+}
@@ -0,0 +1,1093 @@
+import * as THREE from 'three';
+import { SeededRandom } from './SeededRandom.js';
+import { EventBus, GameEvent } from './EventBus.js';
+import { SpatialGrid } from './SpatialGrid.js';
+import { ObjectPool } from './ObjectPool.js';
+import { GameStateManager } from './GameStateManager.js';
+import { ResourceSystem } from './ResourceSystem.js';
+import { BuildingSystem, BUILDING_CONFIGS } from './BuildingSystem.js';
+import { EnvironmentalSystem } from './EnvironmentalSystem.js';
+import { MissionMetric } from './MissionSystem.js';
+import { QUALITY_PRESETS, QualityLevel } from './QualityManager.js';
+
+// Debris color palettes
+const RESOURCE_COLORS = [
+    { color: 0x00ff88, emissive: 0x00aa44 }, // Green - organic
+    { color: 0xffc864, emissive: 0xaa8432 }, // Gold - metal
+    { color: 0x64c8ff, emissive: 0x3264aa }, // Blue - plastic
+    { color: 0xc864ff, emissive: 0x8432aa }  // Purple - seeds
+];
+
+const POLLUTION_COLORS = [
+    { color: 0x4a4a4a, emissive: 0x2a2a2a }, // Dark gray
+    { color: 0x665544, emissive: 0x332211 }, // Brown
+    { color: 0x554455, emissive: 0x221122 }, // Dark purple-gray
+    { color: 0x444444, emissive: 0x222222 }  // Darker gray
+];
+
+const GRAVITY_MODES = ['neutral', 'attract', 'repel'];
+
+/**
+ * Simulation - The game rules for one run: player, debris, gravity field, recyclers,
+ * buildings, zones, resources and game state.
+ * It never touches the DOM or a Three.js scene (only Three.js math types), so it also
+ * steps in Node. Renderers, audio and UI observe it through its EventBus
+ * (the simulation events of GameEvent).
+ */
+export class Simulation {
+    /**
+     * @param {Object} options
+     * @param {Storage|null} options.storage - Where the player profile is kept (default: localStorage if there is one)
+     * @param {EventBus} options.events - Bus to report events on (default: a new one)
+     */
+    constructor(options = {}) {
+        this.events = options.events ?? new EventBus();
+
+        // Seeded random generator shared by every spawn decision in a run
+        this.rng = new SeededRandom();
+        this.sceneryRng = this.rng.fork(); // Seed-dependent decoration (the star field)
+
+        this.gameState = new GameStateManager(options.storage, this.events);
+        this.resources = new ResourceSystem();
+        this.buildings = new BuildingSystem();
+        this.environment = new EnvironmentalSystem();
+
+        // Debris pool (the oldest piece is recycled at the cap, which keeps replays deterministic)
+        this.debrisPool = new ObjectPool(
+            () => this.createDebris(),
+            (debris) => this.resetDebris(debris),
+            100,
+            { maxSize: 2000, eviction: 'oldest' }
+        );
+
+        // Debris positions, rebuilt once per step and shared by all proximity queries
+        this.debrisGrid = new SpatialGrid(10);
+
+        // Debris nodes and recyclers
+        this.debrisNodes = [];
+        this.recyclers = [];
+
+        // Player
+        this.player = {
+            position: new THREE.Vector3(),
+            velocity: new THREE.Vector3()
+        };
+        this.moveSpeed = 20;
+        this.boostMultiplier = 2;
+        this.playerDrag = Math.pow(0.95, 60); // 95% of velocity kept per 1/60s, expressed per second
+        this.boundarySize = 100;
+
+        // Gravity field
+        this.gravityRange = 30;
+
+        // Carried debris
+        this.maxCarriedDebris = 20;
+        this.grabRange = 15; // Auto-grab range
+
+        // Debris spawning
+        this.debrisSpawnInterval = 2;
+
+        // Oxygen level (%) that raises oxygen:critical, and the grace period (seconds at 0% before the run ends)
+        this.oxygenCriticalLevel = 30;
+        this.oxygenGracePeriod = 10;
+
+        // Share of what a building cost that demolishing it gives back, and how long
+        // (seconds) the last placement can be undone for a full refund
+        this.demolishRefundRate = 0.5;
+        this.undoWindow = 5;
+
+        this.reset();
+    }
+
+    /**
+     * Put the run back at tick 0 with an empty world (follow with createDefaultWorld or restore)
+     */
+    reset(seed = SeededRandom.generateSeed()) {
+        this.rng.setSeed(seed);
+        this.sceneryRng = this.rng.fork();
+
+        this.tick = 0;
+        this.gameTime = 0;
+        this.lastPlacement = null; // { building, time, rewarded } while it can still be undone
+        this.over = false;
+        this.lastBoost = -Infinity;
+        this.lastRecycle = -Infinity;
+        this.oxygenDepletedTime = 0;
+        this.oxygenCritical = false;
+        this.carriedDebris = [];
+        this.debrisSpawnTimer = 0;
+        this.gravityMode = 'neutral';
+        this.gravityStrength = 15;
+        this.maxDebris = QUALITY_PRESETS[QualityLevel.HIGH].maxDebris;
+
+        this.gameState.reset();
+        this.resources.reset();
+        this.debrisPool.releaseAll();
+
+        this.player.position.set(0, 0, 0);
+        this.player.velocity.set(0, 0, 0);
+    }
+
+    createDefaultWorld() {
+        this.clearWorld();
+        this.buildings.clear();
+        this.environment.clear();
+
+        // Initialize environmental zones
+        this.environment.createZone(new THREE.Vector3(0, 0, 0), 50, 10);
+        this.environment.createZone(new THREE.Vector3(40, 0, 40), 40, 5);
+        this.environment.createZone(new THREE.Vector3(-40, 0, -40), 40, 5);
+
+        // Create debris nodes (cyan crystals that spawn debris)
+        this.createDebrisNode(new THREE.Vector3(30, 0, 20), 3000, 5);
+        this.createDebrisNode(new THREE.Vector3(-40, 10, -30), 2500, 4);
+        this.createDebrisNode(new THREE.Vector3(0, -20, 50), 4000, 6);
+        this.createDebrisNode(new THREE.Vector3(50, 5, -40), 3500, 5);
+
+        // Create recycler globes (red wireframe spheres that absorb debris)
+        this.createRecycler(new THREE.Vector3(60, 0, 0), 10);
+        this.createRecycler(new THREE.Vector3(-60, 15, -20), 8);
+        this.createRecycler(new THREE.Vector3(0, -30, 60), 12);
+        this.createRecycler(new THREE.Vector3(-50, -10, 40), 9);
+    }
+
+    createDebrisNode(position, spawnRate = 2000, maxDebris = 5) {
+        const node = {
+            type: 'debrisNode',
+            position: position.clone(),
+            spawnRate: spawnRate,
+            maxDebris: maxDebris,
+            lastSpawn: -spawnRate, // Allow an immediate first spawn
+            activeDebris: []
+        };
+
+        this.debrisNodes.push(node);
+        return node;
+    }
+
+    createRecycler(position, radius = 8) {
+        const recycler = {
+            type: 'recycler',
+            position: position.clone(),
+            radius: radius,
+            pullStrength: 100
+        };
+
+        this.recyclers.push(recycler);
+        return recycler;
+    }
+
+    // Remove all debris nodes and recyclers
+    clearWorld() {
+        this.debrisNodes = [];
+        this.recyclers = [];
+    }
+
+    /**
+     * Empty the world and hand back the run's resources (between runs; the final
+     * game state is kept for the summary screen)
+     */
+    clear() {
+        this.clearWorld();
+        this.buildings.clear();
+        this.environment.clear();
+        this.lastPlacement = null;
+        this.carriedDebris = [];
+        this.debrisPool.releaseAll();
+        this.resources.reset();
+    }
+
+    // Snapshot of the whole run for the save system
+    serialize() {
+        return {
+            gameState: this.gameState.serialize(),
+            resources: this.resources.serialize(),
+            buildings: this.buildings.serialize(),
+            zones: this.environment.serialize(),
+            world: {
+                debrisNodes: this.debrisNodes.map(node => ({
+                    position: node.position.toArray(),
+                    spawnRate: node.spawnRate,
+                    maxDebris: node.maxDebris
+                })),
+                recyclers: this.recyclers.map(recycler => ({
+                    position: recycler.position.toArray(),
+                    radius: recycler.radius
+                }))
+            },
+            player: {
+                position: this.player.position.toArray(),
+                velocity: this.player.velocity.toArray()
+            },
+            run: {
+                gameTime: this.gameTime,
+                oxygenDepletedTime: this.oxygenDepletedTime,
+                gravityMode: this.gravityMode,
+                gravityStrength: this.gravityStrength,
+                rng: this.rng.getState()
+            }
+        };
+    }
+
+    restore(savedRun) {
+        this.gameState.deserialize(savedRun.gameState);
+        this.resources.deserialize(savedRun.resources);
+        this.buildings.deserialize(savedRun.buildings);
+        this.environment.deserialize(savedRun.zones);
+
+        this.clearWorld();
+        savedRun.world.debrisNodes.forEach(node => {
+            this.createDebrisNode(new THREE.Vector3().fromArray(node.position), node.spawnRate, node.maxDebris);
+        });
+        savedRun.world.recyclers.forEach(recycler => {
+            this.createRecycler(new THREE.Vector3().fromArray(recycler.position), recycler.radius);
+        });
+
+        this.player.position.fromArray(savedRun.player.position);
+        this.player.velocity.fromArray(savedRun.player.velocity);
+
+        this.gameTime = savedRun.run.gameTime;
+        this.oxygenDepletedTime = savedRun.run.oxygenDepletedTime;
+        this.gravityMode = savedRun.run.gravityMode;
+        this.gravityStrength = savedRun.run.gravityStrength;
+        this.rng.setState(savedRun.run.rng);
+    }
+
+    getPlayerRadius() {
+        return Math.max(1, Math.cbrt(this.gameState.mass));
+    }
+
+    /**
+     * Advance the run by one fixed step
+     * @param {Object} input - Tick input ({ move, boost, recycle }, see InputManager.getTickInput)
+     */
+    step(deltaTime, input) {
+        if (this.over) return;
+
+        this.tick++;
+        this.gameTime += deltaTime;
+        this.updateDifficulty();
+
+        // Handle input and update player
+        this.handleInput(deltaTime, input);
+        this.updatePlayer(deltaTime);
+
+        // Update carried debris positions
+        this.updateCarriedDebris(deltaTime);
+
+        // Spawn and move debris, then pull it with the gravity field and recyclers
+        this.spawnDebris(deltaTime);
+        this.updateDebris(deltaTime);
+        this.applyGravityField(deltaTime);
+        this.updateSeekingDebris(deltaTime);
+
+        // Debris nodes and recyclers run on simulation time (milliseconds)
+        const simTime = this.gameTime * 1000;
+        this.updateDebrisNodes(simTime);
+        this.updateRecyclers(deltaTime).forEach(item => {
+            // Two recyclers can reach the same piece in one step
+            if (!this.debrisPool.isActive(item.debris)) return;
+            this.processRecyclerAbsorption(item.debris, item.recycler, item.seeking || false);
+        });
+
+        // Zones and building effects
+        this.environment.updateZones(deltaTime, this.buildings).forEach(({ zone, previous }) => {
+            this.events.emit(GameEvent.ZONE_HEALTH_CHANGED, { zone, health: Math.floor(zone.health), previous });
+        });
+        this.buildings.processRecyclers(deltaTime, this.debrisGrid, this.resources);
+        this.buildings.processOxygenGeneration(deltaTime, this.resources);
+
+        // Check mission progress
+        this.updateMissions(deltaTime);
+
+        // Drain oxygen over time
+        this.resources.drainOxygen(deltaTime, 0.5);
+        this.updateOxygenLevel();
+        this.updateOxygenDepletion(deltaTime);
+        if (this.over) return;
+
+        this.checkCollisions();
+
+        // Give back spare debris after busy spells (doesn't change which pieces are active)
+        this.debrisPool.update(deltaTime);
+    }
+
+    // Stop stepping and tell observers why
+    end(reason) {
+        if (this.over) return;
+
+        this.over = true;
+        this.events.emit(GameEvent.RUN_ENDED, { reason });
+    }
+
+    updateDifficulty() {
+        // Improved difficulty scaling based on player power (mass + tier)
+        const powerLevel = this.gameState.mass * this.gameState.tier;
+        const timeFactor = Math.min(this.gameTime / 60, 5); // Cap time influence at 5 minutes
+
+        // Difficulty based 70% on player power, 30% on time
+        this.gameState.difficulty = 1 + (powerLevel / 100) * 0.7 + timeFactor * 0.3;
+        this.gameState.timeElapsed = this.gameTime;
+        this.gameState.checkAchievements();
+    }
+
+    handleInput(deltaTime, input) {
+        const acceleration = new THREE.Vector3();
+
+        // Movement for this tick (now includes Y axis)
+        const movement = input.move;
+        acceleration.x = movement.x * this.moveSpeed;
+        acceleration.y = movement.y * this.moveSpeed;
+        acceleration.z = movement.z * this.moveSpeed;
+
+        // Boost
+        if (input.boost) {
+            acceleration.multiplyScalar(this.boostMultiplier);
+
+            // Boost feedback (throttled)
+            if (this.gameTime - this.lastBoost > 0.1) {
+                this.events.emit(GameEvent.PLAYER_BOOSTED, {
+                    position: this.player.position,
+                    direction: acceleration.clone().normalize()
+                });
+                this.lastBoost = this.gameTime;
+            }
+        }
+
+        // Recycle (R key)
+        if (input.recycle && this.gameTime - this.lastRecycle > 1) {
+            // Harvest carried debris for resources
+            if (this.carriedDebris.length > 0) {
+                this.harvestCarriedDebris();
+                this.lastRecycle = this.gameTime;
+            } else {
+                // Old behavior - recycle carried mass if no debris
+                const points = this.gameState.recycle();
+                if (points > 0) {
+                    this.events.emit(GameEvent.PLAYER_RECYCLED, { points });
+                    this.lastRecycle = this.gameTime;
+                }
+            }
+        }
+
+        // Apply acceleration
+        this.player.velocity.add(acceleration.multiplyScalar(deltaTime));
+
+        // Apply drag (time-based so it doesn't depend on step size)
+        this.player.velocity.multiplyScalar(Math.pow(this.playerDrag, deltaTime));
+    }
+
+    updatePlayer(deltaTime) {
+        const { position, velocity } = this.player;
+
+        // Update position
+        position.add(velocity.clone().multiplyScalar(deltaTime));
+
+        // Boundary constraints (soft)
+        const pushBack = 6 * deltaTime; // Velocity change per second outside the boundary
+
+        if (Math.abs(position.x) > this.boundarySize) {
+            velocity.x -= Math.sign(position.x) * pushBack;
+        }
+        if (Math.abs(position.y) > this.boundarySize) {
+            velocity.y -= Math.sign(position.y) * pushBack;
+        }
+        if (Math.abs(position.z) > this.boundarySize) {
+            velocity.z -= Math.sign(position.z) * pushBack;
+        }
+    }
+
+    // Pooled debris piece; its size, type and look are rolled in rollDebris when spawned
+    // (DebrisRenderer draws it from position, rotation, scale and userData)
+    createDebris() {
+        return {
+            position: new THREE.Vector3(),
+            rotation: new THREE.Euler(),
+            scale: new THREE.Vector3(1, 1, 1),
+            userData: {
+                velocity: new THREE.Vector3(),
+                rotation: new THREE.Vector3(), // Radians per second
+                size: 1,
+                mass: 1,
+                color: new THREE.Color(),
+                emissive: new THREE.Color(),
+                emissiveIntensity: 0.2,
+                roughness: 0.7,
+                metalness: 0.3,
+                glowOpacity: 0.1,
+                isResource: false,
+                resourceType: null
+            }
+        };
+    }
+
+    // Roll a debris piece's size, type and color from the seeded generator
+    rollDebris(debris) {
+        const rng = this.rng;
+        const size = rng.range(0.5, 2);
+
+        // Determine if this is resource or pollution (10% resource, 90% pollution)
+        const isResource = rng.chance(0.1);
+
+        // Resource debris - bright, valuable colors; pollution - dull, gray/brown colors
+        const chosen = rng.pick(isResource ? RESOURCE_COLORS : POLLUTION_COLORS);
+
+        const data = debris.userData;
+        data.color.setHex(chosen.color);
+        data.emissive.setHex(chosen.emissive);
+        data.emissiveIntensity = isResource ? 0.5 : 0.2;
+        data.roughness = isResource ? 0.3 : 0.7;
+        data.metalness = isResource ? 0.7 : 0.3;
+        data.glowOpacity = isResource ? 0.3 : 0.1;
+
+        data.rotation.set(rng.range(-0.6, 0.6), rng.range(-0.6, 0.6), rng.range(-0.6, 0.6));
+        data.size = size;
+        data.mass = size;
+        data.isResource = isResource;
+        data.resourceType = isResource ? this.getResourceType(chosen.color) : null;
+        data.isCarried = false;
+        data.seekingRecycler = false;
+        data.targetRecycler = null;
+    }
+
+    getResourceType(color) {
+        // Map colors to resource types
+        if (color === 0x00ff88) return 'organic';
+        if (color === 0xffc864) return 'metal';
+        if (color === 0x64c8ff) return 'plastic';
+        if (color === 0xc864ff) return 'seeds';
+        return 'plastic'; // default
+    }
+
+    resetDebris(debris) {
+        this.debrisGrid.remove(debris);
+        debris.position.set(0, 0, 0);
+        debris.userData.velocity.set(0, 0, 0);
+    }
+
+    spawnDebrisAt(position, velocity, difficulty = 1) {
+        const debris = this.debrisPool.acquire();
+        this.rollDebris(debris);
+        debris.position.copy(position);
+        debris.userData.velocity.copy(velocity);
+
+        // Scale size based on difficulty
+        const scale = debris.userData.size * (0.8 + difficulty * 0.2);
+        debris.scale.set(scale, scale, scale);
+
+        return debris;
+    }
+
+    spawnDebris(deltaTime) {
+        this.debrisSpawnTimer += deltaTime;
+
+        // Adjust spawn rate based on difficulty
+        const spawnInterval = Math.max(0.5, this.debrisSpawnInterval - this.gameState.difficulty * 0.1);
+
+        if (this.debrisSpawnTimer >= spawnInterval) {
+            this.debrisSpawnTimer = 0;
+
+            const activeDebris = this.debrisPool.getActive().length;
+            if (activeDebris < this.maxDebris) {
+                this.spawnDebrisNearPlayer();
+            }
+        }
+    }
+
+    spawnDebrisNearPlayer() {
+        const playerPosition = this.player.position;
+
+        // Random position around player
+        const angle = this.rng.next() * Math.PI * 2;
+        const distance = 50 + this.rng.next() * 30;
+        const height = (this.rng.next() - 0.5) * 40;
+
+        const position = new THREE.Vector3(
+            playerPosition.x + Math.cos(angle) * distance,
+            playerPosition.y + height,
+            playerPosition.z + Math.sin(angle) * distance
+        );
+
+        // Velocity towards player with some randomness
+        const toPlayer = new THREE.Vector3()
+            .subVectors(playerPosition, position)
+            .normalize()
+            .multiplyScalar(2 + this.rng.next() * 3);
+
+        toPlayer.add(new THREE.Vector3(
+            (this.rng.next() - 0.5) * 2,
+            (this.rng.next() - 0.5) * 2,
+            (this.rng.next() - 0.5) * 2
+        ));
+
+        this.spawnDebrisAt(position, toPlayer, this.gameState.difficulty);
+    }
+
+    // Move debris, drop pieces that drifted too far and rebuild the grid
+    updateDebris(deltaTime) {
+        const debris = this.debrisPool.getActive();
+        const toRemove = [];
+
+        debris.forEach(d => {
+            // Update position
+            d.position.add(d.userData.velocity.clone().multiplyScalar(deltaTime));
+
+            // Rotation
+            d.rotation.x += d.userData.rotation.x * deltaTime;
+            d.rotation.y += d.userData.rotation.y * deltaTime;
+            d.rotation.z += d.userData.rotation.z * deltaTime;
+
+            // Remove if too far
+            if (d.position.length() > 150) {
+                toRemove.push(d);
+            }
+        });
+
+        toRemove.forEach(d => this.debrisPool.release(d));
+        this.debrisGrid.rebuild(debris);
+    }
+
+    updateCarriedDebris(deltaTime) {
+        // Remove any debris that was absorbed or destroyed (or evicted and respawned by the pool)
+        this.carriedDebris = this.carriedDebris.filter(d =>
+            this.debrisPool.isActive(d) && d.userData.isCarried
+        );
+
+        const playerPosition = this.player.position;
+        const orbitRadius = 3 + this.getPlayerRadius();
+
+        // Update positions of carried debris to orbit around player
+        this.carriedDebris.forEach((debris, index) => {
+            const angle = (index / this.carriedDebris.length) * Math.PI * 2 + this.gameTime;
+            const height = Math.sin(this.gameTime * 2 + index) * 1.5;
+
+            const targetPos = new THREE.Vector3(
+                playerPosition.x + Math.cos(angle) * orbitRadius,
+                playerPosition.y + height,
+                playerPosition.z + Math.sin(angle) * orbitRadius
+            );
+
+            // Smoothly move debris to target position
+            debris.position.lerp(targetPos, 1 - Math.exp(-5 * deltaTime));
+
+            // Zero out velocity while carried
+            debris.userData.velocity.set(0, 0, 0);
+
+            // Rotate carried debris
+            debris.rotation.x += deltaTime * 2;
+            debris.rotation.y += deltaTime * 2;
+        });
+    }
+
+    cycleGravityMode() {
+        const currentIndex = GRAVITY_MODES.indexOf(this.gravityMode);
+        this.gravityMode = GRAVITY_MODES[(currentIndex + 1) % GRAVITY_MODES.length];
+        this.events.emit(GameEvent.GRAVITY_CHANGED, { mode: this.gravityMode });
+    }
+
+    setGravityStrength(strength) {
+        this.gravityStrength = strength;
+    }
+
+    setMaxDebris(maxDebris) {
+        this.maxDebris = maxDebris;
+    }
+
+    applyGravityField(deltaTime) {
+        if (this.gravityMode === 'neutral') return;
+
+        const playerPosition = this.player.position;
+        const debris = this.debrisGrid.queryRadius(playerPosition, this.gravityRange);
+        const isAttract = this.gravityMode === 'attract';
+
+        debris.forEach(d => {
+            // Skip debris being carried or seeking recycler
+            if (d.userData.isCarried || d.userData.seekingRecycler) return;
+
+            const toPlayer = new THREE.Vector3().subVectors(playerPosition, d.position);
+            const distance = toPlayer.length();
+
+            // Only affect debris within range
+            if (distance < this.gravityRange && distance > 0.1) {
+                // Gravity falls off with distance (inverse square law)
+                const falloff = 1 - (distance / this.gravityRange);
+                const strength = this.gravityStrength * falloff * falloff;
+
+                // Normalize direction and apply force
+                toPlayer.normalize();
+                const force = toPlayer.multiplyScalar(strength * deltaTime);
+
+                // Apply force (attract or repel)
+                if (isAttract) {
+                    d.userData.velocity.add(force);
+                } else {
+                    d.userData.velocity.sub(force);
+                }
+            }
+        });
+    }
+
+    updateSeekingDebris(deltaTime) {
+        if (this.recyclers.length === 0) return;
+
+        this.debrisPool.getActive().forEach(d => {
+            if (d.userData.seekingRecycler) {
+                // Recyclers don't move, so the nearest one is found once per piece
+                if (!d.userData.targetRecycler) {
+                    d.userData.targetRecycler = this.getNearestRecycler(d.position);
+                }
+                const nearest = d.userData.targetRecycler;
+
+                if (nearest) {
+                    // Move towards nearest recycler
+                    const direction = new THREE.Vector3()
+                        .subVectors(nearest.position, d.position)
+                        .normalize();
+
+                    d.userData.velocity.add(direction.multiplyScalar(deltaTime * 50));
+                }
+            }
+        });
+    }
+
+    // currentTime is simulation time in milliseconds
+    updateDebrisNodes(currentTime) {
+        this.debrisNodes.forEach(node => {
+            // Check if should spawn debris
+            if (currentTime - node.lastSpawn > node.spawnRate &&
+                node.activeDebris.length < node.maxDebris) {
+
+                // Spawn debris near node
+                const angle = this.rng.next() * Math.PI * 2;
+                const distance = 5 + this.rng.next() * 3;
+                const spawnPos = new THREE.Vector3(
+                    node.position.x + Math.cos(angle) * distance,
+                    node.position.y + (this.rng.next() - 0.5) * 3,
+                    node.position.z + Math.sin(angle) * distance
+                );
+
+                const velocity = new THREE.Vector3(
+                    (this.rng.next() - 0.5) * 0.5,
+                    (this.rng.next() - 0.5) * 0.5,
+                    (this.rng.next() - 0.5) * 0.5
+                );
+
+                const debris = this.spawnDebrisAt(spawnPos, velocity);
+                node.activeDebris.push(debris);
+                node.lastSpawn = currentTime;
+
+                this.events.emit(GameEvent.NODE_SPAWNED, { node, position: spawnPos });
+            }
+
+            // Clean up collected debris from tracking
+            node.activeDebris = node.activeDebris.filter(debris =>
+                this.debrisPool.isActive(debris)
+            );
+        });
+    }
+
+    // Pull carried and seeking debris into recyclers; returns the pieces close enough to absorb
+    updateRecyclers(deltaTime) {
+        const absorbed = [];
+        const carriedDebris = this.carriedDebris;
+
+        this.recyclers.forEach(recycler => {
+            const recyclerPos = recycler.position;
+
+            // Check carried debris for absorption
+            carriedDebris.forEach(debris => {
+                const distance = debris.position.distanceTo(recyclerPos);
+
+                if (distance < recycler.radius * 1.5) {
+                    // Pull debris towards recycler
+                    const direction = recyclerPos.clone().sub(debris.position).normalize();
+                    const pullForce = (1 - distance / (recycler.radius * 1.5)) *
+                                    recycler.pullStrength;
+
+                    debris.userData.velocity.add(
+                        direction.multiplyScalar(pullForce * 0.6 * deltaTime)
+                    );
+
+                    // Absorb if very close
+                    if (distance < recycler.radius * 0.5) {
+                        absorbed.push({
+                            debris: debris,
+                            recycler: recycler
+                        });
+                    }
+                }
+            });
+
+            // Check debris seeking recyclers
+            const seekRange = recycler.radius * 2;
+            this.debrisGrid.forEachInRadius(recyclerPos, seekRange, (debris, distanceSq) => {
+                if (!debris.userData.seekingRecycler) return;
+
+                const distance = Math.sqrt(distanceSq);
+
+                // Pull seeking debris strongly
+                const direction = recyclerPos.clone().sub(debris.position).normalize();
+                const pullForce = recycler.pullStrength * 2;
+
+                debris.userData.velocity.add(
+                    direction.multiplyScalar(pullForce * 1.2 * deltaTime)
+                );
+
+                // Absorb if close
+                if (distance < recycler.radius * 0.7) {
+                    absorbed.push({
+                        debris: debris,
+                        recycler: recycler,
+                        seeking: true
+                    });
+                }
+            });
+        });
+
+        return absorbed;
+    }
+
+    /**
+     * Closest recycler to a position (null if there are none)
+     */
+    getNearestRecycler(position) {
+        let nearest = null;
+        let minDistanceSq = Infinity;
+
+        this.recyclers.forEach(recycler => {
+            const distanceSq = position.distanceToSquared(recycler.position);
+            if (distanceSq < minDistanceSq) {
+                minDistanceSq = distanceSq;
+                nearest = recycler;
+            }
+        });
+
+        return nearest;
+    }
+
+    // Give a resource-type amount to the player (seeds come in at half rate)
+    addTypedResource(resourceType, amount) {
+        if (resourceType === 'seeds') {
+            this.resources.addResource('seeds', Math.floor(amount * 0.5));
+        } else {
+            this.resources.addResource(resourceType, amount);
+        }
+    }
+
+    processRecyclerAbsorption(debris, recycler, seeking = false) {
+        const debrisMass = debris.userData.mass || 1;
+        this.events.emit(GameEvent.DEBRIS_RECYCLED, { debris, recycler, seeking });
+        this.debrisPool.release(debris);
+
+        // Remove from carried debris array
+        const index = this.carriedDebris.indexOf(debris);
+        if (index > -1) {
+            this.carriedDebris.splice(index, 1);
+        }
+
+        // Award resources and points for seeking debris
+        if (!seeking) return;
+
+        if (debris.userData.isResource) {
+            // Resources are better harvested than recycled
+            this.addTypedResource(debris.userData.resourceType, debrisMass * 2);
+            this.gameState.addScore(Math.floor(debrisMass * 10));
+        } else {
+            // Pollution gives more when recycled properly - this is the main gameplay loop!
+            const resourceAmount = debrisMass * 3; // 3x for pollution recycling
+
+            // Pollution recycling gives random resources
+            const resourceType = this.rng.next();
+            if (resourceType < 0.3) {
+                this.resources.addResource('plastic', resourceAmount);
+            } else if (resourceType < 0.6) {
+                this.resources.addResource('metal', resourceAmount);
+            } else if (resourceType < 0.9) {
+                this.resources.addResource('organic', resourceAmount);
+            } else {
+                this.resources.addResource('seeds', Math.floor(resourceAmount * 0.5));
+            }
+
+            // Big points for recycling pollution!
+            this.gameState.addScore(Math.floor(debrisMass * 20));
+        }
+    }
+
+    // Direct absorption into the player (not used by the current rules, kept for compatibility)
+    absorbDebris(debris) {
+        const debrisMass = debris.userData.mass;
+
+        // Add mass (the game state reports tier ups and achievements)
+        this.gameState.addMass(debrisMass * 0.5);
+        this.events.emit(GameEvent.DEBRIS_ABSORBED, { debris, mass: this.gameState.mass });
+
+        // Award resources based on debris type
+        const resourceType = this.rng.next();
+        if (resourceType < 0.4) {
+            this.resources.addResource('plastic', debrisMass * 0.3);
+        } else if (resourceType < 0.7) {
+            this.resources.addResource('metal', debrisMass * 0.2);
+        } else {
+            this.resources.addResource('organic', debrisMass * 0.25);
+        }
+
+        this.debrisPool.release(debris);
+    }
+
+    // Harvest carried debris when R is pressed
+    harvestCarriedDebris() {
+        if (this.carriedDebris.length === 0) return;
+
+        const totalDebris = this.carriedDebris.length;
+        const harvestCount = Math.ceil(totalDebris * 0.4); // 40% harvested for resources
+        const recycleCount = totalDebris - harvestCount; // 60% sent to recyclers
+
+        let totalResources = 0;
+        let resourceCount = 0;
+        let pollutionCount = 0;
+
+        // Harvest portion for building resources
+        for (let i = 0; i < harvestCount && this.carriedDebris.length > 0; i++) {
+            const debris = this.carriedDebris.shift();
+            const debrisMass = debris.userData.mass;
+
+            if (debris.userData.isResource) {
+                // Resource debris - give specific resource type and more
+                const resourceAmount = debrisMass * 5; // 5x for resources
+                this.addTypedResource(debris.userData.resourceType, resourceAmount);
+
+                totalResources += resourceAmount;
+                resourceCount++;
+            } else {
+                // Pollution debris - minimal resources, needs recycling
+                const resourceAmount = debrisMass * 0.5; // Only 0.5x for pollution
+
+                // Pollution just gives small random resources
+                const resourceType = this.rng.next();
+                if (resourceType < 0.5) {
+                    this.resources.addResource('plastic', resourceAmount);
+                } else {
+                    this.resources.addResource('metal', resourceAmount * 0.5);
+                }
+
+                totalResources += resourceAmount;
+                pollutionCount++;
+            }
+
+            this.events.emit(GameEvent.DEBRIS_HARVESTED, { debris });
+            this.debrisPool.release(debris);
+        }
+
+        // Remaining debris automatically seeks nearest recycler
+        this.carriedDebris.forEach(debris => {
+            debris.userData.seekingRecycler = true;
+            debris.userData.isCarried = false;
+        });
+        this.carriedDebris = [];
+
+        this.events.emit(GameEvent.PLAYER_HARVESTED, {
+            resources: totalResources,
+            resourceCount,
+            pollutionCount,
+            recycleCount
+        });
+    }
+
+    // Auto-grab debris that comes within grab range
+    checkCollisions() {
+        const nearby = this.debrisGrid.queryRadius(this.player.position, this.grabRange);
+
+        nearby.forEach(d => {
+            // Skip debris already being carried
+            if (d.userData.isCarried) return;
+
+            if (this.carriedDebris.length < this.maxCarriedDebris) {
+                this.carriedDebris.push(d);
+                d.userData.isCarried = true;
+                this.events.emit(GameEvent.DEBRIS_GRABBED, { debris: d });
+            }
+        });
+    }
+
+    /**
+     * Place a building if the player can afford it and the spot is free
+     */
+    placeBuilding(type, position, rotation = 0) {
+        const config = BUILDING_CONFIGS[type];
+
+        if (!this.resources.canAfford(config.cost)) {
+            this.events.emit(GameEvent.BUILDING_REJECTED, { type, reason: 'cost' });
+            return null;
+        }
+
+        const building = this.buildings.placeBuilding(type, position, rotation);
+        if (!building) {
+            this.events.emit(GameEvent.BUILDING_REJECTED, { type, reason: 'blocked' });
+            return null;
+        }
+
+        this.resources.deductCosts(config.cost);
+        this.lastPlacement = { building, time: this.gameTime, rewarded: false };
+        this.events.emit(GameEvent.BUILDING_PLACED, { building });
+        return building;
+    }
+
+    /**
+     * Tear a building down (by id), refunding part of what it cost including its upgrades
+     */
+    demolishBuilding(id) {
+        const building = this.buildings.getBuilding(id);
+        if (!building) return null;
+
+        return this.removeBuilding(building, this.demolishRefundRate, false);
+    }
+
+    /**
+     * Take back the last placement, if it is recent enough. The refund is full unless a mission
+     * was completed since (the placement may have earned its reward), then it is a demolish refund.
+     */
+    undoLastPlacement() {
+        const building = this.getUndoablePlacement();
+        if (!building) return null;
+
+        const rate = this.lastPlacement.rewarded ? this.demolishRefundRate : 1;
+        return this.removeBuilding(building, rate, true);
+    }
+
+    /**
+     * The building the last placement put down, while it can still be undone
+     */
+    getUndoablePlacement() {
+        const last = this.lastPlacement;
+        if (!last || this.gameTime - last.time > this.undoWindow ||
+            this.buildings.getBuilding(last.building.id) !== last.building) {
+            return null;
+        }
+        return last.building;
+    }
+
+    /**
+     * What removing a building would give back at a refund rate: { [resource]: amount }
+     */
+    getRefund(building, rate = this.demolishRefundRate) {
+        const refund = {};
+        Object.entries(this.buildings.getInvestment(building)).forEach(([type, amount]) => {
+            const returned = Math.floor(amount * rate);
+            if (returned > 0) {
+                refund[type] = returned;
+            }
+        });
+        return refund;
+    }
+
+    removeBuilding(building, rate, undone) {
+        const refund = this.getRefund(building, rate);
+        this.buildings.removeBuilding(building.id);
+        Object.entries(refund).forEach(([type, amount]) => this.resources.addResource(type, amount));
+
+        if (this.lastPlacement?.building === building) {
+            this.lastPlacement = null;
+        }
+        this.events.emit(GameEvent.BUILDING_REMOVED, { building, refund, undone });
+        return refund;
+    }
+
+    /**
+     * Move a building (by id) to a new spot, if nothing else is too close to it
+     */
+    relocateBuilding(id, position, rotation) {
+        const building = this.buildings.getBuilding(id);
+        if (!building) return null;
+
+        if (!this.buildings.moveBuilding(building, position, rotation)) {
+            this.events.emit(GameEvent.BUILDING_REJECTED, { type: building.type, reason: 'blocked' });
+            return null;
+        }
+
+        // A moved building is no longer a placement to take back
+        if (this.lastPlacement?.building === building) {
+            this.lastPlacement = null;
+        }
+        this.events.emit(GameEvent.BUILDING_MOVED, { building });
+        return building;
+    }
+
+    /**
+     * Take a building (by id) to its next level if the player can afford it
+     */
+    upgradeBuilding(id) {
+        const building = this.buildings.getBuilding(id);
+        if (!building) return null;
+
+        const cost = this.buildings.getUpgradeCost(building);
+        if (!cost) {
+            this.events.emit(GameEvent.BUILDING_REJECTED, { type: building.type, reason: 'maxLevel' });
+            return null;
+        }
+        if (!this.resources.canAfford(cost)) {
+            this.events.emit(GameEvent.BUILDING_REJECTED, { type: building.type, reason: 'cost' });
+            return null;
+        }
+
+        this.resources.deductCosts(cost);
+        this.buildings.upgradeBuilding(building);
+        this.events.emit(GameEvent.BUILDING_UPGRADED, { building });
+        return building;
+    }
+
+    updateMissions(deltaTime) {
+        const zoneHealth = this.environment.getZones().reduce(
+            (best, zone) => Math.max(best, zone.health), 0
+        );
+        this.gameState.setMetric(MissionMetric.ZONE_HEALTH, zoneHealth);
+
+        const completed = this.gameState.updateMissions(deltaTime);
+
+        // Undoing the last placement no longer gives everything back once a mission has paid out
+        if (completed.length > 0 && this.lastPlacement) {
+            this.lastPlacement.rewarded = true;
+        }
+
+        completed.forEach(mission => {
+            // Score is awarded by the game state, resources are ours to give
+            const resources = mission.reward.resources || {};
+            Object.entries(resources).forEach(([type, amount]) => {
+                this.resources.addResource(type, amount);
+            });
+
+            this.events.emit(GameEvent.MISSION_COMPLETED, { mission });
+        });
+    }
+
+    // Warn once each time oxygen falls below the critical level
+    updateOxygenLevel() {
+        const oxygen = this.resources.getResource('oxygen');
+
+        if (oxygen >= this.oxygenCriticalLevel) {
+            this.oxygenCritical = false;
+        } else if (!this.oxygenCritical) {
+            this.oxygenCritical = true;
+            this.events.emit(GameEvent.OXYGEN_CRITICAL, { oxygen });
+        }
+    }
+
+    // Count down the grace period while oxygen is empty; the run ends when it expires
+    updateOxygenDepletion(deltaTime) {
+        if (this.resources.getResource('oxygen') > 0) {
+            if (this.oxygenDepletedTime > 0) {
+                this.oxygenDepletedTime = 0;
+                this.events.emit(GameEvent.OXYGEN_RESTORED);
+            }
+            return;
+        }
+
+        this.oxygenDepletedTime += deltaTime;
+        const secondsLeft = this.oxygenGracePeriod - this.oxygenDepletedTime;
+
+        if (secondsLeft <= 0) {
+            this.end('oxygen');
+        } else {
+            this.events.emit(GameEvent.OXYGEN_DEPLETING, { secondsLeft });
+        }
+    }
+}
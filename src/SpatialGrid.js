@@ -0,0 +1,139 @@
+// Cell coordinates are packed into one number (10 bits per axis). Cells far
+// apart can share a key, which is harmless: queries check exact distances.
+const AXIS_BITS = 10;
+const AXIS_MASK = (1 << AXIS_BITS) - 1;
+
+/**
+ * SpatialGrid - Uniform grid for radius queries over objects with a position
+ * Rebuilt in one pass (e.g. once per simulation tick) rather than updated per move.
+ */
+export class SpatialGrid {
+    /**
+     * @param {number} cellSize - Edge length of a cell; around the typical query radius works well
+     */
+    constructor(cellSize = 10) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.itemKeys = new Map(); // Item -> key of the cell it was inserted into
+        this.count = 0;
+    }
+
+    cellCoord(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    cellKey(x, y, z) {
+        return ((x & AXIS_MASK) << (AXIS_BITS * 2)) | ((y & AXIS_MASK) << AXIS_BITS) | (z & AXIS_MASK);
+    }
+
+    /**
+     * Empty the grid (cell arrays are kept for reuse)
+     */
+    clear() {
+        // Drop cells entirely if many are sitting empty
+        if (this.cells.size > Math.max(64, this.count * 4)) {
+            this.cells.clear();
+        } else {
+            this.cells.forEach(cell => {
+                cell.length = 0;
+            });
+        }
+        this.itemKeys.clear();
+        this.count = 0;
+    }
+
+    insert(item, position = item.position) {
+        const key = this.cellKey(
+            this.cellCoord(position.x),
+            this.cellCoord(position.y),
+            this.cellCoord(position.z)
+        );
+
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        cell.push(item);
+        this.itemKeys.set(item, key);
+        this.count++;
+    }
+
+    /**
+     * Take an item out before the next rebuild (e.g. when it is released mid-step)
+     */
+    remove(item) {
+        const key = this.itemKeys.get(item);
+        if (key === undefined) return;
+
+        const cell = this.cells.get(key);
+        const index = cell.indexOf(item);
+        if (index > -1) {
+            cell.splice(index, 1);
+            this.count--;
+        }
+        this.itemKeys.delete(item);
+    }
+
+    /**
+     * Replace the contents with a list of items
+     */
+    rebuild(items) {
+        this.clear();
+        for (let i = 0; i < items.length; i++) {
+            this.insert(items[i]);
+        }
+    }
+
+    /**
+     * Call fn(item, distanceSq) for every item within radius of a position
+     */
+    forEachInRadius(position, radius, fn) {
+        const radiusSq = radius * radius;
+        const minX = this.cellCoord(position.x - radius);
+        const maxX = this.cellCoord(position.x + radius);
+        const minY = this.cellCoord(position.y - radius);
+        const maxY = this.cellCoord(position.y + radius);
+        const minZ = this.cellCoord(position.z - radius);
+        const maxZ = this.cellCoord(position.z + radius);
+
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                for (let z = minZ; z <= maxZ; z++) {
+                    const cell = this.cells.get(this.cellKey(x, y, z));
+                    if (!cell) continue;
+
+                    for (let i = 0; i < cell.length; i++) {
+                        const item = cell[i];
+                        const dx = item.position.x - position.x;
+                        const dy = item.position.y - position.y;
+                        const dz = item.position.z - position.z;
+                        const distanceSq = dx * dx + dy * dy + dz * dz;
+                        if (distanceSq <= radiusSq) {
+                            fn(item, distanceSq);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Items within radius of a position
+     */
+    queryRadius(position, radius, results = []) {
+        this.forEachInRadius(position, radius, item => results.push(item));
+        return results;
+    }
+
+    /**
+     * Number of items within radius of a position (optionally only those passing a filter)
+     */
+    countInRadius(position, radius, filter = null) {
+        let count = 0;
+        this.forEachInRadius(position, radius, item => {
+            if (!filter || filter(item)) count++;
+        });
+        return count;
+    }
+}
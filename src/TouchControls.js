@@ -0,0 +1,250 @@
+/**
+ * TouchControls - On-screen joystick, vertical slider and buttons, plus
+ * two-finger pinch (zoom) and drag (camera orbit) on the game view.
+ * Activates itself on the first touch, or at startup on coarse-pointer devices.
+ */
+export class TouchControls {
+    /**
+     * @param {Object} callbacks - onActivate(), onButton(name), onPinch(delta), onOrbit(deltaH, deltaV)
+     */
+    constructor(callbacks = {}) {
+        this.callbacks = callbacks;
+        this.element = document.getElementById('touch-controls');
+        this.surface = document.getElementById('game-container');
+        this.active = false;
+
+        this.deadzone = 0.1;
+        this.pinchSpeed = 2;       // Zoom delta per pixel of pinch
+        this.orbitSpeed = 0.005;   // Same as mouse drag sensitivity
+
+        this.joystick = { touchId: null, x: 0, y: 0 };
+        this.vertical = { touchId: null, value: 0 };
+        this.held = { boost: null, recycle: null }; // Touch id holding each button
+        this.gestureTouches = new Map();
+        this.gesture = null;
+
+        if (!this.element || !this.surface) return;
+
+        this.setupJoystick();
+        this.setupVerticalSlider();
+        this.setupButtons();
+        this.setupGestures();
+
+        window.addEventListener('touchstart', () => this.activate(), { capture: true, passive: true });
+        if (window.matchMedia?.('(pointer: coarse)').matches) {
+            this.activate();
+        }
+    }
+
+    activate() {
+        if (this.active) return;
+
+        this.active = true;
+        document.body.classList.add('touch-mode');
+        this.callbacks.onActivate?.();
+    }
+
+    setupJoystick() {
+        const base = document.getElementById('touch-joystick');
+        const knob = base?.querySelector('.touch-joystick-knob');
+        if (!base || !knob) return;
+
+        const update = (touch) => {
+            const rect = base.getBoundingClientRect();
+            const radius = rect.width / 2;
+            let dx = touch.clientX - (rect.left + radius);
+            let dy = touch.clientY - (rect.top + radius);
+
+            // Keep the knob inside the base
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > radius) {
+                dx = (dx / distance) * radius;
+                dy = (dy / distance) * radius;
+            }
+
+            knob.style.transform = `translate(${dx}px, ${dy}px)`;
+            this.joystick.x = dx / radius;
+            this.joystick.y = dy / radius;
+        };
+
+        const release = () => {
+            this.joystick.touchId = null;
+            this.joystick.x = 0;
+            this.joystick.y = 0;
+            knob.style.transform = '';
+        };
+
+        this.trackTouch(base, this.joystick, update, release);
+        this.releaseJoystick = release;
+    }
+
+    setupVerticalSlider() {
+        const track = document.getElementById('touch-vertical');
+        const thumb = track?.querySelector('.touch-vertical-thumb');
+        if (!track || !thumb) return;
+
+        const update = (touch) => {
+            const rect = track.getBoundingClientRect();
+            const halfHeight = rect.height / 2;
+            const offset = (rect.top + halfHeight) - touch.clientY;
+            const value = Math.max(-1, Math.min(1, offset / halfHeight));
+
+            thumb.style.transform = `translateY(${-value * halfHeight}px)`;
+            this.vertical.value = value;
+        };
+
+        // Springs back to the middle on release
+        const release = () => {
+            this.vertical.touchId = null;
+            this.vertical.value = 0;
+            thumb.style.transform = '';
+        };
+
+        this.trackTouch(track, this.vertical, update, release);
+        this.releaseVertical = release;
+    }
+
+    // Follow one touch that starts on an element until it lifts
+    trackTouch(element, state, onMove, onRelease) {
+        element.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            if (state.touchId !== null) return;
+
+            const touch = e.changedTouches[0];
+            state.touchId = touch.identifier;
+            onMove(touch);
+        }, { passive: false });
+
+        element.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            const touch = this.findTouch(e.changedTouches, state.touchId);
+            if (touch) onMove(touch);
+        }, { passive: false });
+
+        const end = (e) => {
+            if (this.findTouch(e.changedTouches, state.touchId)) {
+                onRelease();
+            }
+        };
+        element.addEventListener('touchend', end);
+        element.addEventListener('touchcancel', end);
+    }
+
+    setupButtons() {
+        this.element.querySelectorAll('.touch-button').forEach(button => {
+            const name = button.dataset.touch;
+
+            button.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                button.classList.add('pressed');
+
+                if (name in this.held) {
+                    this.held[name] = e.changedTouches[0].identifier;
+                } else {
+                    this.callbacks.onButton?.(name);
+                }
+            }, { passive: false });
+
+            const end = (e) => {
+                if (name in this.held && !this.findTouch(e.changedTouches, this.held[name])) return;
+
+                button.classList.remove('pressed');
+                if (name in this.held) {
+                    this.held[name] = null;
+                }
+            };
+            button.addEventListener('touchend', end);
+            button.addEventListener('touchcancel', end);
+        });
+    }
+
+    // Two fingers on the game view: pinch to zoom, drag to orbit
+    // Single taps are left alone so they still click (building placement)
+    setupGestures() {
+        this.surface.addEventListener('touchstart', (e) => {
+            Array.from(e.changedTouches).forEach(touch => {
+                this.gestureTouches.set(touch.identifier, { x: touch.clientX, y: touch.clientY });
+            });
+            this.gesture = this.gestureTouches.size === 2 ? this.measureGesture() : null;
+        }, { passive: true });
+
+        this.surface.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            Array.from(e.changedTouches).forEach(touch => {
+                if (this.gestureTouches.has(touch.identifier)) {
+                    this.gestureTouches.set(touch.identifier, { x: touch.clientX, y: touch.clientY });
+                }
+            });
+
+            if (!this.gesture || this.gestureTouches.size !== 2) return;
+
+            const current = this.measureGesture();
+            const pinch = (this.gesture.distance - current.distance) * this.pinchSpeed;
+            if (pinch !== 0) {
+                this.callbacks.onPinch?.(pinch);
+            }
+
+            const dx = current.centerX - this.gesture.centerX;
+            const dy = current.centerY - this.gesture.centerY;
+            if (dx !== 0 || dy !== 0) {
+                this.callbacks.onOrbit?.(-dx * this.orbitSpeed, -dy * this.orbitSpeed);
+            }
+
+            this.gesture = current;
+        }, { passive: false });
+
+        const end = (e) => {
+            Array.from(e.changedTouches).forEach(touch => {
+                this.gestureTouches.delete(touch.identifier);
+            });
+            this.gesture = this.gestureTouches.size === 2 ? this.measureGesture() : null;
+        };
+        this.surface.addEventListener('touchend', end);
+        this.surface.addEventListener('touchcancel', end);
+    }
+
+    measureGesture() {
+        const [a, b] = Array.from(this.gestureTouches.values());
+        return {
+            distance: Math.hypot(a.x - b.x, a.y - b.y),
+            centerX: (a.x + b.x) / 2,
+            centerY: (a.y + b.y) / 2
+        };
+    }
+
+    findTouch(touchList, id) {
+        if (id === null) return null;
+        return Array.from(touchList).find(touch => touch.identifier === id) || null;
+    }
+
+    /**
+     * Movement from the joystick (plane) and slider (vertical), each -1 to 1
+     */
+    getMovement() {
+        const magnitude = Math.sqrt(this.joystick.x * this.joystick.x + this.joystick.y * this.joystick.y);
+        const planar = magnitude < this.deadzone ? 0 : 1;
+        const vertical = Math.abs(this.vertical.value) < this.deadzone ? 0 : this.vertical.value;
+
+        return {
+            x: this.joystick.x * planar,
+            y: vertical,
+            z: this.joystick.y * planar // Pushing up moves forward (-z)
+        };
+    }
+
+    isHeld(name) {
+        return this.held[name] !== null && this.held[name] !== undefined;
+    }
+
+    // Let go of everything (e.g. when a run ends)
+    reset() {
+        this.releaseJoystick?.();
+        this.releaseVertical?.();
+        Object.keys(this.held).forEach(name => {
+            this.held[name] = null;
+        });
+        this.element?.querySelectorAll('.touch-button.pressed').forEach(button => {
+            button.classList.remove('pressed');
+        });
+    }
+}
@@ -1,17 +1,69 @@
+import { KeyBindings, ACTION_LABELS } from './KeyBindings.js';
+import { GameEvent } from './EventBus.js';
+
+// Controller equivalents shown next to key bindings while a gamepad is in use
+const ACTION_GAMEPAD_GLYPHS = {
+    move_forward: 'LS ↑',
+    move_back: 'LS ↓',
+    move_left: 'LS ←',
+    move_right: 'LS →',
+    ascend: 'RT',
+    descend: 'LT',
+    boost: 'Ⓐ',
+    recycle: 'Ⓑ',
+    cycle_gravity: 'Ⓧ',
+    toggle_build: 'Ⓨ',
+    select_building_1: 'D-pad ←/→',
+    select_building_2: 'D-pad ←/→',
+    select_building_3: 'D-pad ←/→',
+    zoom_in: 'D-pad ↑',
+    zoom_out: 'D-pad ↓',
+    cycle_camera: '⧉ Back',
+    toggle_radar: 'LS Click',
+    radar_zoom: 'RS Click',
+    rotate_building: 'LB + D-pad',
+    upgrade_building: 'RB',
+    relocate_building: 'LB + Ⓨ',
+    demolish_building: 'LB + RB',
+    undo_placement: 'LB + Ⓧ'
+};
+
+// Build panel hint for each placement preview status
+const PLACEMENT_HINTS = {
+    default: 'Select a building, then click to place it',
+    ok: 'Click to place · T to rotate',
+    blocked: 'Too close to another building',
+    cost: 'Not enough resources',
+    noZone: 'Trees must go on an environmental zone'
+};
+
 // UI Manager
 export class UIManager {
-    constructor(gameStateManager) {
+    constructor(gameStateManager, events) {
         this.gameState = gameStateManager;
+        this.events = events;
         this.sidebarOpen = false;
+        this.lastRunSummary = null;
+        this.runSeed = null;
+        this.scoreSubmitted = false;
+        this.notificationsMuted = false; // Set while a replay fast-forwards
+        this.replayScrubbing = false;
+        this.input = null; // Set by setupKeyBindings
         this.setupEventListeners();
         this.setupSidebar();
+        this.subscribeEvents();
     }
 
     setupEventListeners() {
         // Main menu buttons
         document.getElementById('start-game')?.addEventListener('click', () => {
             this.hideMenu('main-menu');
-            window.dispatchEvent(new CustomEvent('game-start'));
+            this.events.emit(GameEvent.MENU_START);
+        });
+
+        document.getElementById('continue-game')?.addEventListener('click', () => {
+            this.hideMenu('main-menu');
+            this.events.emit(GameEvent.MENU_CONTINUE);
         });
 
         document.getElementById('view-achievements')?.addEventListener('click', () => {
@@ -23,24 +75,130 @@ export class UIManager {
         });
 
         document.getElementById('view-controls')?.addEventListener('click', () => {
+            this.renderKeyBindings();
             this.showPanel('controls-panel');
         });
 
+        ['view-settings', 'pause-settings'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => {
+                this.showPanel('settings-panel');
+            });
+        });
+
+        document.getElementById('load-replay')?.addEventListener('click', () => {
+            document.getElementById('replay-file')?.click();
+        });
+
+        document.getElementById('replay-file')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            file.text().then(json => {
+                this.hideMenu('main-menu');
+                this.events.emit(GameEvent.REPLAY_LOAD, { json });
+            });
+        });
+
         // Pause menu buttons
         document.getElementById('resume-game')?.addEventListener('click', () => {
             this.hideMenu('pause-menu');
-            window.dispatchEvent(new CustomEvent('game-resume'));
+            this.events.emit(GameEvent.MENU_RESUME);
         });
 
         document.getElementById('restart-game')?.addEventListener('click', () => {
             this.hideMenu('pause-menu');
-            window.dispatchEvent(new CustomEvent('game-restart'));
+            this.events.emit(GameEvent.MENU_RESTART);
+        });
+
+        document.getElementById('copy-seed-link')?.addEventListener('click', () => {
+            this.copySeedLink();
+        });
+
+        document.getElementById('export-replay')?.addEventListener('click', () => {
+            this.events.emit(GameEvent.REPLAY_EXPORT);
+        });
+
+        document.getElementById('end-run')?.addEventListener('click', () => {
+            this.hideMenu('pause-menu');
+            this.events.emit(GameEvent.MENU_END_RUN);
         });
 
         document.getElementById('quit-game')?.addEventListener('click', () => {
             this.hideMenu('pause-menu');
             this.showMenu('main-menu');
-            window.dispatchEvent(new CustomEvent('game-quit'));
+            this.events.emit(GameEvent.MENU_QUIT);
+        });
+
+        // Game over menu buttons
+        document.getElementById('submit-score')?.addEventListener('click', () => {
+            this.submitScore();
+        });
+
+        document.getElementById('play-again')?.addEventListener('click', () => {
+            this.submitScore();
+            this.hideMenu('game-over-menu');
+            this.events.emit(GameEvent.MENU_RESTART);
+        });
+
+        document.getElementById('game-over-main-menu')?.addEventListener('click', () => {
+            this.submitScore();
+            this.showMenu('main-menu');
+            this.showLeaderboard();
+        });
+
+        document.getElementById('game-over-export-replay')?.addEventListener('click', () => {
+            this.events.emit(GameEvent.REPLAY_EXPORT);
+        });
+
+        document.getElementById('watch-replay')?.addEventListener('click', () => {
+            this.submitScore();
+            this.hideMenu('game-over-menu');
+            this.events.emit(GameEvent.REPLAY_WATCH);
+        });
+
+        // Replay playback controls
+        document.getElementById('replay-toggle')?.addEventListener('click', () => {
+            this.events.emit(GameEvent.REPLAY_TOGGLE);
+        });
+
+        document.querySelectorAll('#replay-controls .replay-speed').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.events.emit(GameEvent.REPLAY_SPEED, { speed: Number(btn.dataset.speed) });
+            });
+        });
+
+        const scrub = document.getElementById('replay-scrub');
+        scrub?.addEventListener('input', () => {
+            this.replayScrubbing = true;
+        });
+        scrub?.addEventListener('change', () => {
+            this.replayScrubbing = false;
+            this.events.emit(GameEvent.REPLAY_SEEK, { tick: Number(scrub.value) });
+        });
+
+        document.getElementById('replay-exit')?.addEventListener('click', () => {
+            this.events.emit(GameEvent.REPLAY_EXIT);
+        });
+
+        document.getElementById('inspector-close')?.addEventListener('click', () => {
+            this.events.emit(GameEvent.INSPECTOR_CLOSE);
+        });
+        document.getElementById('inspector-actions')?.addEventListener('click', (e) => {
+            const button = e.target.closest('.inspector-action');
+            if (button && !button.disabled) {
+                this.events.emit(GameEvent.INSPECTOR_ACTION, { action: button.dataset.action });
+            }
+        });
+
+        // If a lost graphics context never comes back, a reload continues from the autosave made when it was lost
+        document.getElementById('context-reload')?.addEventListener('click', () => {
+            window.location.reload();
+        });
+
+        // Show controller glyphs in the hotkey lists while a gamepad is in use
+        window.addEventListener('input-device-change', (e) => {
+            this.setInputDevice(e.detail);
         });
 
         // Close buttons for panels
@@ -50,10 +208,94 @@ export class UIManager {
                 if (panel) {
                     panel.classList.remove('active');
                 }
+                this.input?.cancelCapture();
             });
         });
     }
 
+    // HUD, notifications and warnings for game events
+    subscribeEvents() {
+        const gravityModeNames = {
+            'neutral': '⚪ Neutral Field',
+            'attract': '🔵 Attract Field',
+            'repel': '🔴 Repel Field'
+        };
+
+        this.events.onEach({
+            [GameEvent.PLAYER_RECYCLED]: ({ points }) => {
+                this.showNotification('♻️ Recycled!', `+${points} points`, 'normal');
+            },
+            [GameEvent.PLAYER_HARVESTED]: ({ resources, resourceCount, pollutionCount, recycleCount }) => {
+                let message = `+${Math.floor(resources)} resources`;
+                if (resourceCount > 0) {
+                    message += ` (${resourceCount} 🌟 resources!)`;
+                }
+                if (pollutionCount > 0) {
+                    message += ` (${pollutionCount} pollution)`;
+                }
+
+                this.showNotification('♻️ Harvested!', `${message} | ${recycleCount} to recyclers`, 'success');
+            },
+            [GameEvent.GRAVITY_CHANGED]: ({ mode }) => {
+                this.showNotification(gravityModeNames[mode], 'Gravity mode changed', 'normal');
+            },
+            [GameEvent.TIER_UP]: ({ tier }) => this.showTierUp(tier),
+            [GameEvent.ACHIEVEMENT_UNLOCKED]: ({ achievement }) => this.showAchievementUnlock(achievement),
+            [GameEvent.MISSION_COMPLETED]: ({ mission }) => this.showMissionComplete(mission),
+            [GameEvent.BUILDING_PLACED]: ({ building }) => {
+                const config = building.config;
+                this.showNotification(`✅ ${config.name} placed`, config.effect, 'success');
+            },
+            [GameEvent.BUILDING_UPGRADED]: ({ building }) => {
+                this.showNotification(`⬆️ ${building.config.name} upgraded`, `Now level ${building.level}`, 'success');
+            },
+            [GameEvent.BUILDING_MOVED]: ({ building }) => {
+                this.showNotification(`📦 ${building.config.name} moved`, '', 'success');
+            },
+            [GameEvent.BUILDING_REMOVED]: ({ building, refund, undone }) => {
+                const returned = Object.entries(refund).map(([type, amount]) => `+${amount} ${type}`).join(', ');
+                this.showNotification(
+                    undone ? `↩️ ${building.config.name} undone` : `🗑️ ${building.config.name} demolished`,
+                    returned || 'Nothing refunded',
+                    'normal'
+                );
+            },
+            [GameEvent.BUILDING_REJECTED]: ({ reason }) => {
+                if (reason === 'cost') {
+                    this.showNotification('❌ Not enough resources', '', 'error');
+                } else if (reason === 'maxLevel') {
+                    this.showNotification('❌ Fully upgraded', 'This building is at its highest level', 'error');
+                } else {
+                    this.showNotification('❌ Cannot place here', 'Too close to another building', 'error');
+                }
+            },
+            [GameEvent.ZONE_HEALTH_CHANGED]: ({ health, previous }) => {
+                if (health === 100 && previous < 100) {
+                    this.showNotification('🌳 Zone restored', 'The zone is fully healthy', 'success');
+                }
+            },
+            [GameEvent.OXYGEN_CRITICAL]: () => {
+                this.showNotification('⚠️ Oxygen critical', 'Build oxygen generators before it runs out', 'error');
+            },
+            [GameEvent.OXYGEN_DEPLETING]: ({ secondsLeft }) => this.showOxygenWarning(secondsLeft),
+            [GameEvent.OXYGEN_RESTORED]: () => this.hideOxygenWarning(),
+            [GameEvent.RUN_STARTED]: () => {
+                this.showHUD();
+                this.updateHUD();
+            },
+            [GameEvent.RUN_STOPPED]: () => {
+                this.hideOxygenWarning();
+                this.hideHUD();
+            },
+            [GameEvent.CONTEXT_LOST]: () => {
+                document.getElementById('context-lost')?.classList.add('active');
+            },
+            [GameEvent.CONTEXT_RESTORED]: () => {
+                document.getElementById('context-lost')?.classList.remove('active');
+            }
+        });
+    }
+
     setupSidebar() {
         const sidebar = document.getElementById('sidebar');
         const toggle = document.getElementById('sidebar-toggle');
@@ -164,24 +406,20 @@ export class UIManager {
         const container = document.getElementById('sidebar-mission-display');
         if (!container) return;
 
-        if (this.gameState.currentMission) {
-            const mission = this.gameState.currentMission;
-            container.innerHTML = `
-                <div class="mission-display">
-                    <span class="mission-title">${mission.title}</span>
-                    <span class="mission-progress">${mission.description}</span>
-                    <div style="margin-top: 8px; font-size: 12px; color: #00ff88;">
-                        Reward: +${mission.reward} points
-                    </div>
-                </div>
-            `;
-        } else {
-            container.innerHTML = `
-                <div class="mission-display">
-                    <span class="mission-progress">All missions complete! Keep playing!</span>
+        this.renderMissionList(container, mission => `
+            <div class="mission-display" data-mission="${mission.id}">
+                <span class="mission-title">${mission.title}</span>
+                <span class="mission-progress">${mission.description}</span>
+                ${this.renderMissionProgress(mission)}
+                <div style="margin-top: 8px; font-size: 12px; color: #00ff88;">
+                    Reward: ${this.formatReward(mission.reward)}
                 </div>
-            `;
-        }
+            </div>
+        `, `
+            <div class="mission-display">
+                <span class="mission-progress">All missions complete! Keep playing!</span>
+            </div>
+        `);
     }
 
     updateSidebarAchievements() {
@@ -205,14 +443,11 @@ export class UIManager {
         const container = document.getElementById('sidebar-stats');
         if (!container) return;
 
-        const minutes = Math.floor(this.gameState.timeElapsed / 60);
-        const seconds = Math.floor(this.gameState.timeElapsed % 60);
-        
         container.innerHTML = `
             <div style="display: flex; flex-direction: column; gap: 8px; font-size: 13px;">
                 <div style="display: flex; justify-content: space-between;">
                     <span>Time:</span>
-                    <span style="color: #00ff88;">${minutes}:${seconds.toString().padStart(2, '0')}</span>
+                    <span style="color: #00ff88;">${this.formatTime(this.gameState.timeElapsed)}</span>
                 </div>
                 <div style="display: flex; justify-content: space-between;">
                     <span>Debris Absorbed:</span>
@@ -224,7 +459,7 @@ export class UIManager {
                 </div>
                 <div style="display: flex; justify-content: space-between;">
                     <span>Missions Done:</span>
-                    <span style="color: #00ff88;">${this.gameState.completedMissions.length}</span>
+                    <span style="color: #00ff88;">${this.gameState.missions.getCompletedCount()}</span>
                 </div>
             </div>
         `;
@@ -234,21 +469,84 @@ export class UIManager {
         const missionDisplay = document.getElementById('current-mission');
         if (!missionDisplay) return;
 
-        if (this.gameState.currentMission) {
-            const mission = this.gameState.currentMission;
-            missionDisplay.innerHTML = `
+        this.renderMissionList(missionDisplay, mission => `
+            <div class="mission-entry" data-mission="${mission.id}">
                 <span class="mission-title">${mission.title}</span>
                 <span class="mission-progress">${mission.description}</span>
-            `;
-        } else {
-            missionDisplay.innerHTML = `
-                <span class="mission-title">No Active Mission</span>
-                <span class="mission-progress">Keep playing to unlock new missions!</span>
-            `;
+                ${this.renderMissionProgress(mission)}
+            </div>
+        `, `
+            <span class="mission-title">No Active Mission</span>
+            <span class="mission-progress">Keep playing to unlock new missions!</span>
+        `);
+    }
+
+    // Called every frame: the markup is only rebuilt when the active missions change,
+    // otherwise just the bars and counts that moved are touched
+    renderMissionList(container, renderMission, emptyMarkup) {
+        const activeMissions = this.gameState.missions.activeMissions;
+        const key = activeMissions.map(mission => mission.id).join(',');
+
+        if (container.dataset.missions !== key) {
+            container.dataset.missions = key;
+            container.innerHTML = activeMissions.length > 0
+                ? activeMissions.map(renderMission).join('')
+                : emptyMarkup;
+            return;
+        }
+
+        activeMissions.forEach(mission => {
+            const element = container.querySelector(`[data-mission="${mission.id}"]`);
+            if (!element) return;
+
+            const { width, count } = this.getMissionProgress(mission);
+            const fill = element.querySelector('.mission-bar-fill');
+            const countElement = element.querySelector('.mission-count');
+            // Compared against what was set (browsers normalize style values)
+            if (fill.dataset.width !== width) {
+                fill.dataset.width = width;
+                fill.style.width = width;
+            }
+            if (countElement.textContent !== count) countElement.textContent = count;
+        });
+    }
+
+    getMissionProgress(mission) {
+        const current = this.gameState.missions.getProgress(mission);
+        return {
+            width: `${((current / mission.target) * 100).toFixed(1)}%`,
+            count: `${Math.floor(current)} / ${mission.target}`
+        };
+    }
+
+    renderMissionProgress(mission) {
+        const { width, count } = this.getMissionProgress(mission);
+
+        return `
+            <div class="mission-bar">
+                <div class="mission-bar-fill" style="width: ${width}"></div>
+            </div>
+            <span class="mission-count">${count}</span>
+        `;
+    }
+
+    formatReward(reward) {
+        const icons = { plastic: '🔷', metal: '⚙️', organic: '🌿', seeds: '🌱', oxygen: '💨' };
+        const parts = [];
+
+        if (reward.score) {
+            parts.push(`+${reward.score} points`);
         }
+        Object.entries(reward.resources || {}).forEach(([type, amount]) => {
+            parts.push(`+${amount} ${icons[type] || ''} ${type}`);
+        });
+
+        return parts.join(', ');
     }
 
     showNotification(title, message, type = 'normal') {
+        if (this.notificationsMuted) return;
+
         const container = document.getElementById('notification-container');
         if (!container) return;
 
@@ -286,7 +584,7 @@ export class UIManager {
     showMissionComplete(mission) {
         this.showNotification(
             '✅ Mission Complete!',
-            `${mission.title}: +${mission.reward} points`,
+            `${mission.title}: ${this.formatReward(mission.reward)}`,
             'achievement'
         );
     }
@@ -299,14 +597,57 @@ export class UIManager {
 
         list.innerHTML = '';
         
+        // Lifetime stats across all sessions
+        const stats = this.gameState.lifetimeStats;
+        const statsEl = document.createElement('div');
+        statsEl.className = 'lifetime-stats';
+        statsEl.innerHTML = `
+            <div class="lifetime-stat">
+                <span class="lifetime-stat-value">${stats.totalDebrisAbsorbed.toLocaleString()}</span>
+                <span class="lifetime-stat-label">Debris Absorbed</span>
+            </div>
+            <div class="lifetime-stat">
+                <span class="lifetime-stat-value">${this.formatTime(stats.totalPlayTime)}</span>
+                <span class="lifetime-stat-label">Play Time</span>
+            </div>
+            <div class="lifetime-stat">
+                <span class="lifetime-stat-value">${stats.bestMass.toFixed(1)}</span>
+                <span class="lifetime-stat-label">Best Mass</span>
+            </div>
+            <div class="lifetime-stat">
+                <span class="lifetime-stat-value">${stats.bestTier}</span>
+                <span class="lifetime-stat-label">Best Tier</span>
+            </div>
+        `;
+        list.appendChild(statsEl);
+        
         this.gameState.achievements.forEach(achievement => {
             const item = document.createElement('div');
             item.className = `achievement-item ${achievement.unlocked ? 'unlocked' : ''}`;
+            
+            let status;
+            if (achievement.unlocked) {
+                const date = achievement.unlockedAt
+                    ? new Date(achievement.unlockedAt).toLocaleDateString()
+                    : '';
+                status = `<div class="achievement-date">Unlocked ${date}</div>`;
+            } else {
+                const progress = this.gameState.getAchievementProgress(achievement);
+                const current = Math.floor(Math.min(achievement.progress(), achievement.target));
+                status = `
+                    <div class="achievement-progress">
+                        <div class="achievement-progress-fill" style="width: ${progress * 100}%"></div>
+                    </div>
+                    <div class="achievement-progress-text">${current} / ${achievement.target}</div>
+                `;
+            }
+            
             item.innerHTML = `
                 <div class="achievement-icon">${achievement.icon}</div>
                 <div class="achievement-info">
                     <div class="achievement-title">${achievement.title}</div>
                     <div class="achievement-description">${achievement.description}</div>
+                    ${status}
                 </div>
             `;
             list.appendChild(item);
@@ -330,32 +671,508 @@ export class UIManager {
             item.className = `leaderboard-entry rank-${index + 1}`;
             item.innerHTML = `
                 <div class="leaderboard-rank">#${index + 1}</div>
-                <div class="leaderboard-name">${entry.name}</div>
+                <div class="leaderboard-name"></div>
                 <div class="leaderboard-score">${entry.score.toLocaleString()}</div>
             `;
+            // Names are typed by players, so never parse them as markup
+            item.querySelector('.leaderboard-name').textContent = entry.name;
             list.appendChild(item);
         });
 
         panel.classList.add('active');
     }
 
-    showGameOver() {
-        // Save score to leaderboard
-        const playerName = prompt('Enter your name for the leaderboard:', 'Player') || 'Player';
-        this.gameState.saveToLeaderboard(playerName);
+    // Graphics quality presets in the settings panel
+    setupQualitySettings(quality) {
+        document.querySelectorAll('.quality-option[data-quality]').forEach(button => {
+            button.addEventListener('click', () => quality.setMode(button.dataset.quality));
+        });
 
-        // Show final stats
-        this.showNotification(
-            '🎮 Game Over',
-            `Final Score: ${this.gameState.score} | Mass: ${this.gameState.mass.toFixed(1)} | Tier: ${this.gameState.tier}`,
-            'normal'
-        );
+        quality.subscribe((settings, level, mode) => this.updateQualitySettings(level, mode));
+    }
 
-        // Show main menu after delay
-        setTimeout(() => {
-            this.showMenu('main-menu');
-            this.showLeaderboard();
-        }, 2000);
+    setupDisplaySettings(display) {
+        const fullscreen = document.getElementById('toggle-fullscreen');
+        if (fullscreen) {
+            fullscreen.disabled = !display.isFullscreenSupported();
+            fullscreen.addEventListener('click', () => display.toggleFullscreen());
+        }
+
+        document.getElementById('toggle-mouse-look')?.addEventListener('click', () => display.toggleMouseLook());
+
+        display.subscribe(state => this.updateDisplaySettings(state));
+    }
+
+    setupCameraSettings(camera) {
+        document.getElementById('toggle-build-tactical')?.addEventListener('click', () => camera.toggleTacticalInBuildMode());
+
+        camera.subscribe(({ tacticalInBuildMode }) => {
+            document.getElementById('toggle-build-tactical')?.classList.toggle('active', tacticalInBuildMode);
+        });
+    }
+
+    updateDisplaySettings({ fullscreen, mouseLook }) {
+        document.getElementById('toggle-fullscreen')?.classList.toggle('active', fullscreen);
+        document.getElementById('toggle-mouse-look')?.classList.toggle('active', mouseLook);
+    }
+
+    updateQualitySettings(level, mode) {
+        document.querySelectorAll('.quality-option[data-quality]').forEach(button => {
+            button.classList.toggle('active', button.dataset.quality === mode);
+        });
+
+        const status = document.getElementById('quality-status');
+        if (!status) return;
+
+        const levelName = level.charAt(0).toUpperCase() + level.slice(1);
+        status.textContent = mode === 'auto'
+            ? `Auto is using ${levelName} quality, adjusted to your frame rate.`
+            : `Fixed at ${levelName} quality.`;
+    }
+
+    // Rebinding UI in the controls panel
+    setupKeyBindings(input) {
+        this.input = input;
+
+        document.getElementById('reset-keybindings')?.addEventListener('click', () => {
+            this.input.cancelCapture();
+            this.input.bindings.resetToDefaults();
+            this.setKeyBindingMessage('Controls reset to defaults');
+            this.renderKeyBindings();
+        });
+
+        this.renderKeyBindings();
+    }
+
+    renderKeyBindings() {
+        const list = document.getElementById('keybindings-list');
+        if (!list || !this.input) return;
+
+        const bindings = this.input.bindings;
+        const conflicts = bindings.getConflicts();
+
+        list.innerHTML = Object.keys(ACTION_LABELS).map(action => {
+            const keys = bindings.getKeys(action);
+            const slots = [0, 1].map(slot => {
+                const key = keys[slot];
+                const conflict = key && conflicts.includes(key) ? 'conflict' : '';
+                return `<button class="key binding-key ${conflict}" data-action="${action}" data-slot="${slot}"></button>`;
+            }).join('');
+
+            return `
+                <div class="control-item binding-row">
+                    <span class="description">${ACTION_LABELS[action]}</span>
+                    <span class="binding-pad">${ACTION_GAMEPAD_GLYPHS[action] || ''}</span>
+                    <span class="binding-keys">${slots}</span>
+                </div>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.binding-key').forEach(button => {
+            // Key names come from keyboard events, so they go in as text rather than markup
+            button.textContent = KeyBindings.formatKey(bindings.getKeys(button.dataset.action)[Number(button.dataset.slot)]);
+            button.addEventListener('click', () => {
+                this.startRebind(button.dataset.action, Number(button.dataset.slot), button);
+            });
+        });
+
+        if (conflicts.length > 0) {
+            const names = conflicts.map(key => KeyBindings.formatKey(key)).join(', ');
+            this.setKeyBindingMessage(`⚠️ Bound to more than one action: ${names}`, true);
+        }
+
+        this.updateHotkeyLabels();
+    }
+
+    // Wait for the next key and bind it to an action slot
+    startRebind(action, slot, button) {
+        document.querySelectorAll('.binding-key.listening').forEach(el => el.classList.remove('listening'));
+        button.classList.add('listening');
+        button.textContent = 'Press a key…';
+        this.setKeyBindingMessage('');
+
+        this.input.captureNextKey(key => {
+            const bindings = this.input.bindings;
+
+            if (key === 'escape') {
+                this.setKeyBindingMessage('');
+            } else if (key === 'delete' || key === 'backspace') {
+                bindings.clearKey(action, slot);
+            } else {
+                const result = bindings.setKey(action, slot, key);
+                if (result.reason === 'reserved') {
+                    this.setKeyBindingMessage(`${KeyBindings.formatKey(key)} is reserved`, true);
+                } else if (result.reason === 'conflict') {
+                    this.setKeyBindingMessage(
+                        `${KeyBindings.formatKey(key)} is already used by ${ACTION_LABELS[result.conflict]}`, true
+                    );
+                }
+            }
+
+            this.renderKeyBindings();
+        });
+    }
+
+    setKeyBindingMessage(text, isWarning = false) {
+        const messageEl = document.getElementById('keybindings-message');
+        if (!messageEl) return;
+
+        messageEl.textContent = text;
+        messageEl.classList.toggle('warning', isWarning);
+    }
+
+    // Keep the sidebar hotkey list in sync with the current bindings
+    updateHotkeyLabels() {
+        if (!this.input) return;
+
+        const gamepadActive = document.body.classList.contains('gamepad-active');
+        document.querySelectorAll('.hotkey-key[data-action]').forEach(el => {
+            const label = el.dataset.action.split(',')
+                .map(action => KeyBindings.formatKey(this.input.bindings.getKeys(action)[0]))
+                .join('/');
+
+            el.dataset.key = label;
+            if (!gamepadActive) {
+                el.textContent = label;
+            }
+        });
+    }
+
+    // Swap key labels for controller glyphs (data-pad) and back
+    setInputDevice(device) {
+        document.body.classList.toggle('gamepad-active', device === 'gamepad');
+
+        document.querySelectorAll('[data-pad]').forEach(el => {
+            if (el.dataset.key === undefined) {
+                el.dataset.key = el.textContent;
+            }
+            el.textContent = device === 'gamepad' ? el.dataset.pad : el.dataset.key;
+        });
+    }
+
+    setRunSeed(seed) {
+        this.runSeed = seed;
+        const seedEl = document.getElementById('run-seed-value');
+        if (seedEl) {
+            seedEl.textContent = seed;
+        }
+    }
+
+    // Copy a link that replays the current seed
+    copySeedLink() {
+        if (this.runSeed === null) return;
+
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', this.runSeed);
+
+        navigator.clipboard?.writeText(url.toString())
+            .then(() => this.showNotification('🔗 Link copied', `Seed ${this.runSeed}`, 'normal'))
+            .catch(() => this.showNotification('❌ Copy failed', url.toString(), 'error'));
+    }
+
+    // Show the Continue button when there is a saved run
+    updateContinueButton(saveInfo) {
+        const button = document.getElementById('continue-game');
+        if (!button) return;
+
+        if (saveInfo) {
+            button.style.display = '';
+            button.textContent = `Continue (Tier ${saveInfo.tier} · ${this.formatTime(saveInfo.time)})`;
+        } else {
+            button.style.display = 'none';
+        }
+    }
+
+    showGameOver(summary) {
+        this.lastRunSummary = summary;
+        this.scoreSubmitted = false;
+
+        const reasons = {
+            oxygen: '💨 Your oxygen ran out',
+            manual: '🏁 You ended the run'
+        };
+        const reasonEl = document.getElementById('game-over-reason');
+        if (reasonEl) {
+            reasonEl.textContent = reasons[summary.reason] || 'Run over';
+        }
+
+        const stats = [
+            ['Score', summary.score.toLocaleString()],
+            ['Mass', summary.mass.toFixed(1)],
+            ['Tier', summary.tier],
+            ['Debris Absorbed', summary.debrisAbsorbed],
+            ['Time', this.formatTime(summary.time)],
+            ['Missions', summary.missions],
+            ['Buildings', summary.buildings],
+            ['Seed', summary.seed]
+        ];
+
+        const statsEl = document.getElementById('game-over-stats');
+        if (statsEl) {
+            statsEl.innerHTML = stats.map(([label, value]) => `
+                <div class="summary-stat">
+                    <span>${label}:</span>
+                    <span class="value">${value}</span>
+                </div>
+            `).join('');
+        }
+
+        const nameInput = document.getElementById('player-name');
+        if (nameInput) {
+            nameInput.value = this.loadPlayerName();
+            nameInput.disabled = false;
+        }
+        const submitBtn = document.getElementById('submit-score');
+        if (submitBtn) {
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Submit Score';
+        }
+
+        this.showMenu('game-over-menu');
+    }
+
+    loadPlayerName() {
+        try {
+            return localStorage.getItem('gravshift_player_name') || 'Player';
+        } catch (e) {
+            console.warn('Failed to load player name:', e);
+            return 'Player';
+        }
+    }
+
+    savePlayerName(name) {
+        try {
+            localStorage.setItem('gravshift_player_name', name);
+        } catch (e) {
+            console.warn('Failed to save player name:', e);
+        }
+    }
+
+    // Write the last run to the leaderboard (only once per run)
+    submitScore() {
+        if (!this.lastRunSummary || this.scoreSubmitted) return;
+
+        const nameInput = document.getElementById('player-name');
+        const playerName = (nameInput?.value || '').trim() || 'Player';
+        this.savePlayerName(playerName);
+
+        const { debrisAbsorbed, missions, buildings } = this.lastRunSummary;
+        this.gameState.saveToLeaderboard(playerName, { debrisAbsorbed, missions, buildings });
+        this.scoreSubmitted = true;
+
+        if (nameInput) {
+            nameInput.disabled = true;
+        }
+        const submitBtn = document.getElementById('submit-score');
+        if (submitBtn) {
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Submitted';
+        }
+    }
+
+    // Save a replay recording as a JSON file
+    downloadReplay(json, seed) {
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `gravshift-replay-${seed}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    showReplayControls(state) {
+        const scrub = document.getElementById('replay-scrub');
+        if (scrub) {
+            scrub.max = state.length;
+        }
+        document.getElementById('replay-controls')?.classList.add('active');
+        this.updateReplayControls(state);
+    }
+
+    hideReplayControls() {
+        document.getElementById('replay-controls')?.classList.remove('active');
+        this.replayScrubbing = false;
+    }
+
+    updateReplayControls(state) {
+        const toggle = document.getElementById('replay-toggle');
+        if (toggle) {
+            toggle.textContent = state.paused ? '▶' : '⏸';
+        }
+
+        document.querySelectorAll('#replay-controls .replay-speed').forEach(btn => {
+            btn.classList.toggle('active', Number(btn.dataset.speed) === state.speed);
+        });
+
+        // Leave the slider alone while the user is dragging it
+        const scrub = document.getElementById('replay-scrub');
+        const tick = this.replayScrubbing && scrub ? Number(scrub.value) : state.tick;
+        if (scrub && !this.replayScrubbing) {
+            scrub.value = state.tick;
+        }
+
+        const timeEl = document.getElementById('replay-time');
+        if (timeEl) {
+            const label = `${this.formatTime(tick / state.tickRate)} / ${this.formatTime(state.length / state.tickRate)}`;
+            timeEl.textContent = state.seeking ? `${label} ⏩` : label;
+        }
+    }
+
+    showOxygenWarning(secondsLeft) {
+        const warning = document.getElementById('oxygen-warning');
+        const countdown = document.getElementById('oxygen-countdown');
+        if (!warning) return;
+
+        warning.classList.add('active');
+        if (countdown) {
+            countdown.textContent = Math.ceil(secondsLeft);
+        }
+    }
+
+    hideOxygenWarning() {
+        document.getElementById('oxygen-warning')?.classList.remove('active');
+    }
+
+    updateResources(resources) {
+        const resourcesEl = document.getElementById('resources');
+        if (!resourcesEl) return;
+
+        resourcesEl.innerHTML = `
+            <div class="resource-item">
+                <span class="resource-icon">🔷</span>
+                <span class="resource-label">Plastic:</span>
+                <span class="resource-value">${Math.floor(resources.plastic)}</span>
+            </div>
+            <div class="resource-item">
+                <span class="resource-icon">⚙️</span>
+                <span class="resource-label">Metal:</span>
+                <span class="resource-value">${Math.floor(resources.metal)}</span>
+            </div>
+            <div class="resource-item">
+                <span class="resource-icon">🌿</span>
+                <span class="resource-label">Organic:</span>
+                <span class="resource-value">${Math.floor(resources.organic)}</span>
+            </div>
+            <div class="resource-item">
+                <span class="resource-icon">🌱</span>
+                <span class="resource-label">Seeds:</span>
+                <span class="resource-value">${Math.floor(resources.seeds)}</span>
+            </div>
+            <div class="resource-item ${resources.oxygen < 30 ? 'low-oxygen' : ''}">
+                <span class="resource-icon">💨</span>
+                <span class="resource-label">Oxygen:</span>
+                <span class="resource-value">${Math.floor(resources.oxygen)}%</span>
+            </div>
+        `;
+    }
+
+    setBuildMode(enabled) {
+        const buildUI = document.getElementById('build-ui');
+        if (buildUI) {
+            buildUI.style.display = enabled ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Show an entity in the inspector ({ icon, title, rows: [[label, value]], actions? }), or hide it with null
+     */
+    showInspector(info) {
+        const inspector = document.getElementById('inspector');
+        if (!inspector) return;
+
+        inspector.classList.toggle('active', Boolean(info));
+        if (!info) {
+            this.inspectorContent = null;
+            return;
+        }
+
+        // Called every frame, so only touch the DOM when something changed
+        const content = JSON.stringify([info.icon, info.title, info.rows]);
+        if (content !== this.inspectorContent) {
+            this.inspectorContent = content;
+
+            document.getElementById('inspector-icon').textContent = info.icon;
+            document.getElementById('inspector-title').textContent = info.title;
+
+            const rows = document.getElementById('inspector-rows');
+            rows.replaceChildren(...info.rows.map(([label, value]) => {
+                const row = document.createElement('div');
+                row.className = 'inspector-row';
+                const labelElement = document.createElement('span');
+                labelElement.className = 'inspector-label';
+                labelElement.textContent = label;
+                const valueElement = document.createElement('span');
+                valueElement.className = 'inspector-value';
+                valueElement.textContent = value;
+                row.append(labelElement, valueElement);
+                return row;
+            }));
+        }
+
+        this.updateInspectorActions(info.actions ?? []);
+    }
+
+    // Update the action buttons in place: a button replaced between press and release
+    // (rows change all the time) would never get its click
+    updateInspectorActions(actions) {
+        const container = document.getElementById('inspector-actions');
+        const buttons = container.children;
+
+        actions.forEach(({ action, label, disabled, confirm }, index) => {
+            let button = buttons[index];
+            if (!button) {
+                button = document.createElement('button');
+                container.appendChild(button);
+            }
+
+            const className = confirm ? 'inspector-action confirm' : 'inspector-action';
+            if (button.className !== className) button.className = className;
+            if (button.dataset.action !== action) button.dataset.action = action;
+            if (button.textContent !== label) button.textContent = label;
+            button.disabled = Boolean(disabled);
+        });
+
+        while (buttons.length > actions.length) {
+            container.lastElementChild.remove();
+        }
+    }
+
+    /**
+     * Explain the placement preview: 'ok', 'blocked', 'cost', 'noZone', or null for the default hint
+     */
+    setPlacementStatus(status) {
+        if (status === this.placementStatus) return;
+        this.placementStatus = status;
+
+        const hint = document.getElementById('build-hint');
+        if (!hint) return;
+
+        hint.textContent = PLACEMENT_HINTS[status] ?? PLACEMENT_HINTS.default;
+        hint.classList.toggle('invalid', status === 'blocked' || status === 'cost' || status === 'noZone');
+    }
+
+    setSelectedBuilding(type) {
+        document.querySelectorAll('#build-ui .building-option').forEach(el => {
+            el.classList.toggle('selected', el.dataset.type === type);
+        });
+    }
+
+    // Mark each building option by whether canAfford(type) allows it
+    updateBuildingCosts(canAfford) {
+        document.querySelectorAll('#build-ui .building-option').forEach(option => {
+            const affordable = canAfford(option.dataset.type);
+            option.classList.toggle('affordable', affordable);
+            option.classList.toggle('unaffordable', !affordable);
+        });
+    }
+
+    formatTime(totalSeconds) {
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = Math.floor(totalSeconds % 60);
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
     }
 
     hideHUD() {
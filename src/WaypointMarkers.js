@@ -0,0 +1,243 @@
+import * as THREE from 'three';
+import { MissionMetric } from './MissionSystem.js';
+import { BUILDING_CONFIGS } from './BuildingSystem.js';
+
+// Distance (world units) below which a marker is gone, and above which it is fully shown
+const FADE_NEAR = 12;
+const FADE_FAR = 40;
+
+// Gap between off-screen arrows and the screen edge (pixels)
+const EDGE_MARGIN = 48;
+
+// Pinning picks the nearest building within this distance of the player
+const PIN_RANGE = 30;
+
+/**
+ * WaypointMarkers - HUD markers for the nearest recycler, active mission targets and
+ * pinned buildings. Targets in view get a marker over them; targets off screen (or behind
+ * the camera) get an arrow on the screen edge pointing their way. Both show the distance
+ * and fade out as the player gets close.
+ */
+export class WaypointMarkers {
+    /**
+     * @param {HTMLElement} container - HUD layer the markers are added to
+     * @param {THREE.Camera} camera - Camera the targets are projected with
+     */
+    constructor(container, camera) {
+        this.container = container;
+        this.camera = camera;
+        this.pinned = new Set();
+
+        // Marker elements by target key, reused between frames
+        this.markers = new Map();
+        this.projected = new THREE.Vector3();
+    }
+
+    /**
+     * Pin the building nearest to a position, or unpin it if it already is
+     * Returns { building, pinned }, or null when no building is in range
+     */
+    togglePinNearest(buildings, position) {
+        let nearest = null;
+        let minDistanceSq = PIN_RANGE * PIN_RANGE;
+
+        buildings.forEach(building => {
+            const distanceSq = building.position.distanceToSquared(position);
+            if (distanceSq < minDistanceSq) {
+                minDistanceSq = distanceSq;
+                nearest = building;
+            }
+        });
+
+        if (!nearest) return null;
+
+        if (this.pinned.has(nearest)) {
+            this.pinned.delete(nearest);
+        } else {
+            this.pinned.add(nearest);
+        }
+        return { building: nearest, pinned: this.pinned.has(nearest) };
+    }
+
+    isPinned(building) {
+        return this.pinned.has(building);
+    }
+
+    /**
+     * Forget pins and remove every marker (between runs)
+     */
+    clear() {
+        this.pinned.clear();
+        this.markers.forEach(marker => marker.element.remove());
+        this.markers.clear();
+    }
+
+    // Everything that should have a marker this frame
+    getTargets(sim, playerPosition) {
+        const targets = [];
+
+        const recycler = sim.getNearestRecycler(playerPosition);
+        if (recycler) {
+            // Brighter once the player carries a full load
+            const full = sim.carriedDebris.length >= sim.maxCarriedDebris;
+            targets.push({ key: 'recycler', position: recycler.position, icon: '♻️', label: full ? 'Recycler (full)' : 'Recycler', kind: full ? 'urgent' : 'recycler' });
+        }
+
+        // Missions worked on in the same place share a marker
+        const missionTargets = new Map();
+        sim.gameState.missions.activeMissions.forEach(mission => {
+            const position = this.getMissionTarget(sim, mission, playerPosition);
+            if (!position) return;
+            if (!missionTargets.has(position)) {
+                missionTargets.set(position, []);
+            }
+            missionTargets.get(position).push(mission);
+        });
+        missionTargets.forEach((missions, position) => {
+            targets.push({
+                key: `mission:${missions.map(mission => mission.id).join('+')}`,
+                position,
+                icon: '🎯',
+                label: missions.map(mission => mission.title).join(' · '),
+                kind: 'mission'
+            });
+        });
+
+        // Pins of buildings that are gone are dropped
+        const buildings = new Set(sim.buildings.getBuildings());
+        this.pinned.forEach(building => {
+            if (!buildings.has(building)) {
+                this.pinned.delete(building);
+                return;
+            }
+            const config = BUILDING_CONFIGS[building.type];
+            targets.push({ key: building, position: building.position, icon: '📌', label: config?.name ?? 'Building', kind: 'pinned' });
+        });
+
+        return targets;
+    }
+
+    // Where a mission is worked on, if it has a place at all
+    getMissionTarget(sim, mission, playerPosition) {
+        const zones = sim.environment.getZones();
+
+        switch (mission.metric) {
+            case MissionMetric.ZONE_HEALTH: {
+                // The mission counts the healthiest zone, so that is the one to finish
+                const candidates = zones.filter(zone => zone.health < mission.target);
+                if (candidates.length === 0) return null;
+                return candidates.reduce((best, zone) => zone.health > best.health ? zone : best).position;
+            }
+            case MissionMetric.TREES_BUILT:
+                // Trees only grow on zones
+                return this.getNearest(zones, playerPosition)?.position ?? null;
+            case MissionMetric.DEBRIS_HARVESTED:
+                // Debris gathers around the nodes
+                return this.getNearest(sim.debrisNodes, playerPosition)?.position ?? null;
+            default:
+                // Pollution goes to the recycler already marked; tiers have no place
+                return null;
+        }
+    }
+
+    getNearest(items, position) {
+        let nearest = null;
+        let minDistanceSq = Infinity;
+        items.forEach(item => {
+            const distanceSq = item.position.distanceToSquared(position);
+            if (distanceSq < minDistanceSq) {
+                minDistanceSq = distanceSq;
+                nearest = item;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Place this frame's markers
+     * @param {Simulation} sim
+     * @param {THREE.Vector3} playerPosition - Rendered player position (distances are measured from it)
+     */
+    update(sim, playerPosition) {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const seen = new Set();
+
+        // The camera may have moved since it was last rendered
+        this.camera.updateMatrixWorld();
+
+        this.getTargets(sim, playerPosition).forEach(target => {
+            seen.add(target.key);
+            const marker = this.getMarker(target.key);
+
+            const distance = target.position.distanceTo(playerPosition);
+            const opacity = THREE.MathUtils.smoothstep(distance, FADE_NEAR, FADE_FAR);
+            if (opacity <= 0) {
+                marker.element.style.display = 'none';
+                return;
+            }
+
+            // Normalized device coordinates; z > 1 means the target is behind the camera
+            const ndc = this.projected.copy(target.position).project(this.camera);
+            const behind = ndc.z > 1;
+            let x = (ndc.x + 1) / 2 * width;
+            let y = (1 - ndc.y) / 2 * height;
+            const onScreen = !behind && x >= 0 && x <= width && y >= 0 && y <= height;
+
+            let angle = 0;
+            if (!onScreen) {
+                // Push the marker out to the screen edge along its direction from the centre
+                let dx = x - width / 2;
+                let dy = y - height / 2;
+                if (behind) {
+                    dx = -dx;
+                    dy = -dy;
+                }
+                if (dx === 0 && dy === 0) dy = 1;
+
+                const scale = Math.min(
+                    (width / 2 - EDGE_MARGIN) / Math.abs(dx || 1e-6),
+                    (height / 2 - EDGE_MARGIN) / Math.abs(dy || 1e-6)
+                );
+                x = width / 2 + dx * scale;
+                y = height / 2 + dy * scale;
+                angle = Math.atan2(dy, dx);
+            }
+
+            marker.element.style.display = '';
+            marker.element.style.opacity = opacity.toFixed(2);
+            marker.element.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px)`;
+            marker.element.className = `waypoint waypoint-${target.kind}${onScreen ? '' : ' off-screen'}`;
+            marker.arrow.style.transform = `rotate(${angle.toFixed(3)}rad)`;
+            marker.icon.textContent = target.icon;
+            marker.label.textContent = `${target.label} ${Math.round(distance)}m`;
+        });
+
+        // Drop markers whose target went away
+        this.markers.forEach((marker, key) => {
+            if (!seen.has(key)) {
+                marker.element.remove();
+                this.markers.delete(key);
+            }
+        });
+    }
+
+    getMarker(key) {
+        let marker = this.markers.get(key);
+        if (marker) return marker;
+
+        const element = document.createElement('div');
+        const arrow = document.createElement('div');
+        const icon = document.createElement('span');
+        const label = document.createElement('span');
+        arrow.className = 'waypoint-arrow';
+        icon.className = 'waypoint-icon';
+        label.className = 'waypoint-label';
+        element.append(arrow, icon, label);
+        this.container.appendChild(element);
+
+        marker = { element, arrow, icon, label };
+        this.markers.set(key, marker);
+        return marker;
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * Remove an object from its parent and free the geometries, materials and textures
+ * of it and all its children (shared ones are freed once)
+ */
+export function disposeObject(object) {
+    object.removeFromParent();
+
+    const disposed = new Set();
+    const disposeOnce = (resource) => {
+        if (!resource || disposed.has(resource)) return;
+        disposed.add(resource);
+        resource.dispose();
+    };
+
+    object.traverse(child => {
+        disposeOnce(child.geometry);
+
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach(material => {
+            if (!material) return;
+            Object.values(material).forEach(value => {
+                if (value?.isTexture) {
+                    disposeOnce(value);
+                }
+            });
+            disposeOnce(material);
+        });
+    });
+}
+
+/**
+ * WorldLifecycle - Owns everything spawned for a run and tears it all down between runs:
+ * the simulation's world and resources, the meshes drawn for it, the player mesh, pooled
+ * objects and anything registered with track() (subscriptions, timers).
+ * After each teardown it samples the renderer's GPU memory so the debug overlay can
+ * show whether runs leave geometries or textures behind.
+ */
+export class WorldLifecycle {
+    constructor(simulation, gameEngine, worldRenderer) {
+        this.sim = simulation;
+        this.engine = gameEngine;
+        this.world = worldRenderer;
+
+        this.cleanups = [];
+        this.active = false;
+
+        // GPU memory after the first and the latest teardown
+        this.baseline = null;
+        this.lastTeardown = null;
+        this.teardowns = 0;
+    }
+
+    /**
+     * Start owning a new run (tears down the previous one if it is still up)
+     */
+    begin() {
+        if (this.active) {
+            this.teardown();
+        }
+        this.active = true;
+    }
+
+    /**
+     * Run a cleanup function at the next teardown; returns it
+     */
+    track(cleanup) {
+        this.cleanups.push(cleanup);
+        return cleanup;
+    }
+
+    /**
+     * Release everything the run created
+     */
+    teardown() {
+        if (!this.active) return;
+
+        // Last registered, first cleaned up
+        while (this.cleanups.length > 0) {
+            this.cleanups.pop()();
+        }
+
+        this.sim.clear();
+        this.world.clear();
+        this.engine.removePlayer();
+
+        // Give back memory from busy runs while we sit in the menu
+        this.engine.particlePool.releaseAll();
+        this.sim.debrisPool.shrinkToFit();
+        this.engine.particlePool.shrinkToFit();
+
+        this.active = false;
+        this.sampleMemory();
+    }
+
+    sampleMemory() {
+        const { geometries, textures } = this.engine.renderer.info.memory;
+
+        this.lastTeardown = { geometries, textures };
+        this.baseline ??= this.lastTeardown;
+        this.teardowns++;
+    }
+
+    /**
+     * GPU memory now and after teardowns; growth means a run left something behind
+     */
+    getLeakReport() {
+        const { geometries, textures } = this.engine.renderer.info.memory;
+
+        return {
+            geometries,
+            textures,
+            teardowns: this.teardowns,
+            baseline: this.baseline,
+            lastTeardown: this.lastTeardown,
+            leakedGeometries: this.baseline ? this.lastTeardown.geometries - this.baseline.geometries : 0,
+            leakedTextures: this.baseline ? this.lastTeardown.textures - this.baseline.textures : 0
+        };
+    }
+}
@@ -0,0 +1,549 @@
+import * as THREE from 'three';
+import { BuildingType, BUILDING_CONFIGS, getLevelScale } from './BuildingSystem.js';
+import { DebrisRenderer } from './DebrisRenderer.js';
+import { GameEvent } from './EventBus.js';
+import { disposeObject } from './WorldLifecycle.js';
+import { QUALITY_PRESETS, QualityLevel, setSphereSegments } from './QualityManager.js';
+
+/**
+ * WorldRenderer - Draws the simulation's world: debris, debris nodes, recyclers,
+ * buildings and zones. Meshes are created and removed to follow the simulation's
+ * entities each frame, and all animation runs here on frame time.
+ */
+export class WorldRenderer {
+    constructor(scene, simulation) {
+        this.scene = scene;
+        this.sim = simulation;
+        this.quality = QUALITY_PRESETS[QualityLevel.HIGH];
+
+        // Pooled debris hold no GPU resources; DebrisRenderer draws them all in a few calls
+        this.debrisRenderer = new DebrisRenderer(scene);
+
+        // Simulation entity -> mesh
+        this.nodeMeshes = new Map();
+        this.recyclerMeshes = new Map();
+        this.buildingMeshes = new Map();
+        this.zoneMeshes = new Map();
+
+        // Shells around the entity under the mouse and the one being inspected
+        this.hoverHighlight = this.createHighlightMesh(0xffffff, 0.35);
+        this.selectHighlight = this.createHighlightMesh(0xffd700, 0.6);
+
+        // Translucent preview of the building about to be placed (rebuilt when the type changes)
+        this.ghost = null;
+        this.ghostType = null;
+
+        this.subscribeEvents(simulation.events);
+    }
+
+    subscribeEvents(events) {
+        events.onEach({
+            [GameEvent.DEBRIS_RECYCLED]: ({ recycler }) => this.flashRecycler(recycler),
+            [GameEvent.BUILDING_MOVED]: ({ building }) => {
+                const mesh = this.buildingMeshes.get(building);
+                if (mesh) {
+                    mesh.position.copy(building.position);
+                    mesh.rotation.y = building.rotation;
+                }
+            },
+            [GameEvent.ZONE_HEALTH_CHANGED]: ({ zone }) => {
+                const mesh = this.zoneMeshes.get(zone);
+                if (mesh) {
+                    this.updateZone(mesh, zone);
+                }
+            }
+        });
+    }
+
+    /**
+     * Apply graphics quality settings (see QualityManager)
+     */
+    setQuality(settings) {
+        this.quality = settings;
+        const segments = settings.simpleSphereSegments;
+
+        this.debrisRenderer.setGlowVisible(settings.glowShells);
+
+        this.recyclerMeshes.forEach(mesh => {
+            setSphereSegments(mesh, segments);
+            setSphereSegments(mesh.userData.innerGlow, segments);
+        });
+        this.buildingMeshes.forEach((mesh, building) => {
+            if (building.type === BuildingType.OXYGEN_GENERATOR) {
+                setSphereSegments(mesh, segments);
+            }
+        });
+        this.zoneMeshes.forEach(mesh => setSphereSegments(mesh, segments));
+    }
+
+    /**
+     * Bring meshes in line with the simulation and animate them (call once per frame)
+     */
+    update(deltaTime) {
+        const sim = this.sim;
+        const currentTime = sim.gameTime * 1000;
+
+        this.syncMeshes(this.nodeMeshes, sim.debrisNodes, node => this.createNodeMesh(node));
+        this.syncMeshes(this.recyclerMeshes, sim.recyclers, recycler => this.createRecyclerMesh(recycler));
+        this.syncMeshes(this.buildingMeshes, sim.buildings.getBuildings(), building => this.createBuildingMesh(building));
+        this.syncMeshes(this.zoneMeshes, sim.environment.getZones(), zone => this.createZoneMesh(zone));
+
+        this.nodeMeshes.forEach(mesh => this.updateNode(mesh, currentTime, deltaTime));
+        this.recyclerMeshes.forEach(mesh => this.updateRecycler(mesh, currentTime, deltaTime));
+        this.buildingMeshes.forEach((mesh, building) => this.updateBuilding(mesh, building, deltaTime));
+
+        this.debrisRenderer.update(sim.debrisPool.getActive());
+    }
+
+    // Add meshes for new entities and drop the ones whose entity is gone
+    syncMeshes(meshes, items, createMesh) {
+        if (items.length === meshes.size && items.every(item => meshes.has(item))) return;
+
+        const current = new Set(items);
+        meshes.forEach((mesh, item) => {
+            if (!current.has(item)) {
+                disposeObject(mesh);
+                meshes.delete(item);
+            }
+        });
+
+        items.forEach(item => {
+            if (!meshes.has(item)) {
+                const mesh = createMesh(item);
+                mesh.position.copy(item.position);
+                meshes.set(item, mesh);
+                this.scene.add(mesh);
+            }
+        });
+    }
+
+    createNodeMesh() {
+        // Create node geometry - a crystalline structure
+        const nodeGeometry = new THREE.OctahedronGeometry(3, 0);
+        const nodeMaterial = new THREE.MeshStandardMaterial({
+            color: 0x00ffff,
+            emissive: 0x00aaaa,
+            emissiveIntensity: 0.6,
+            metalness: 0.8,
+            roughness: 0.2
+        });
+
+        const node = new THREE.Mesh(nodeGeometry, nodeMaterial);
+
+        // Add glow effect
+        const glowGeometry = new THREE.OctahedronGeometry(3.5, 0);
+        const glowMaterial = new THREE.MeshBasicMaterial({
+            color: 0x00ffff,
+            transparent: true,
+            opacity: 0.3,
+            side: THREE.BackSide
+        });
+        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+        node.add(glow);
+
+        // Add rotating rings around node
+        const ringGeometry = new THREE.TorusGeometry(5, 0.2, 8, 32);
+        const ringMaterial = new THREE.MeshBasicMaterial({
+            color: 0x00ffff,
+            transparent: true,
+            opacity: 0.5
+        });
+        const ring1 = new THREE.Mesh(ringGeometry, ringMaterial);
+        const ring2 = new THREE.Mesh(ringGeometry, ringMaterial);
+        ring2.rotation.x = Math.PI / 2;
+        node.add(ring1);
+        node.add(ring2);
+
+        node.userData = {
+            rings: [ring1, ring2],
+            glow: glow
+        };
+
+        return node;
+    }
+
+    createRecyclerMesh(recycler) {
+        // Create red wireframe globe
+        const radius = recycler.radius;
+        const segments = this.quality.simpleSphereSegments;
+        const recyclerGeometry = new THREE.SphereGeometry(radius, segments, segments);
+        const recyclerMaterial = new THREE.MeshBasicMaterial({
+            color: 0xff0000,
+            wireframe: true,
+            transparent: true,
+            opacity: 0.8
+        });
+
+        const mesh = new THREE.Mesh(recyclerGeometry, recyclerMaterial);
+
+        // Add inner glow sphere
+        const innerGeometry = new THREE.SphereGeometry(radius * 0.9, segments, segments);
+        const innerMaterial = new THREE.MeshBasicMaterial({
+            color: 0xff0000,
+            transparent: true,
+            opacity: 0.1
+        });
+        const innerGlow = new THREE.Mesh(innerGeometry, innerMaterial);
+        mesh.add(innerGlow);
+
+        // Add particle effect in center
+        const coreGeometry = new THREE.SphereGeometry(1, 8, 8);
+        const coreMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffaa00,
+            emissive: 0xff6600,
+            emissiveIntensity: 1
+        });
+        const core = new THREE.Mesh(coreGeometry, coreMaterial);
+        mesh.add(core);
+
+        mesh.userData = {
+            core: core,
+            innerGlow: innerGlow,
+            pulsePhase: Math.random() * Math.PI * 2
+        };
+
+        return mesh;
+    }
+
+    createBuildingMesh(building) {
+        const config = building.config;
+        const segments = this.quality.simpleSphereSegments;
+        let mesh;
+
+        if (building.type === BuildingType.TREE) {
+            // Create tree with trunk and foliage
+            mesh = new THREE.Group();
+
+            // Trunk
+            const trunk = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.4, 0.5, 3, 8),
+                new THREE.MeshPhongMaterial({
+                    color: 0x8b4513,
+                    emissive: 0x442200,
+                    emissiveIntensity: 0.1
+                })
+            );
+            trunk.position.y = 1.5;
+
+            // Foliage
+            const foliage = new THREE.Mesh(
+                new THREE.ConeGeometry(2.5, 5, 8),
+                new THREE.MeshPhongMaterial({
+                    color: config.color,
+                    emissive: config.emissive,
+                    emissiveIntensity: 0.2
+                })
+            );
+            foliage.position.y = 4.5;
+
+            mesh.add(trunk);
+            mesh.add(foliage);
+
+        } else if (building.type === BuildingType.RECYCLER) {
+            // Recycler as rotating box
+            mesh = new THREE.Mesh(
+                new THREE.BoxGeometry(2.5, 2.5, 2.5),
+                new THREE.MeshPhongMaterial({
+                    color: config.color,
+                    emissive: config.emissive,
+                    emissiveIntensity: 0.3
+                })
+            );
+
+        } else if (building.type === BuildingType.OXYGEN_GENERATOR) {
+            // Oxygen generator as pulsing sphere
+            mesh = new THREE.Mesh(
+                new THREE.SphereGeometry(2, segments, segments),
+                new THREE.MeshPhongMaterial({
+                    color: config.color,
+                    emissive: config.emissive,
+                    emissiveIntensity: 0.4,
+                    transparent: true,
+                    opacity: 0.8
+                })
+            );
+        }
+
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.rotation.y = building.rotation ?? 0;
+        mesh.userData.animationTime = 0;
+
+        return mesh;
+    }
+
+    // The building's own mesh in see-through materials, with a ring at its effect radius
+    createGhostMesh(type) {
+        const config = BUILDING_CONFIGS[type];
+        const group = new THREE.Group();
+
+        const body = this.createBuildingMesh({ type, config });
+        body.traverse(child => {
+            if (!child.material) return;
+            child.material.dispose();
+            child.material = new THREE.MeshBasicMaterial({
+                transparent: true,
+                opacity: 0.45,
+                depthWrite: false
+            });
+        });
+        group.add(body);
+
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(0.97, 1, 64),
+            new THREE.MeshBasicMaterial({
+                transparent: true,
+                opacity: 0.6,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        ring.rotation.x = -Math.PI / 2;
+        ring.scale.setScalar(config.radius);
+        group.add(ring);
+
+        group.userData = { body };
+        return group;
+    }
+
+    /**
+     * Show the placement preview for a building type at { position, valid }, turned by
+     * rotation (radians), or hide it with a null type or placement
+     */
+    setPlacementGhost(type, placement, rotation = 0) {
+        if (!type || !placement) {
+            if (this.ghost) {
+                this.ghost.visible = false;
+            }
+            return;
+        }
+
+        if (type !== this.ghostType) {
+            this.removePlacementGhost();
+            this.ghost = this.createGhostMesh(type);
+            this.ghostType = type;
+            this.scene.add(this.ghost);
+        }
+
+        const ghost = this.ghost;
+        ghost.visible = true;
+        ghost.position.copy(placement.position);
+        ghost.userData.body.rotation.y = rotation;
+
+        // Green where it can go, red where it can't
+        const color = placement.valid ? 0x00ff88 : 0xff3344;
+        ghost.traverse(child => child.material?.color.setHex(color));
+    }
+
+    removePlacementGhost() {
+        if (!this.ghost) return;
+
+        disposeObject(this.ghost);
+        this.ghost = null;
+        this.ghostType = null;
+    }
+
+    createZoneMesh(zone) {
+        const segments = this.quality.simpleSphereSegments;
+        const geometry = new THREE.SphereGeometry(zone.radius, segments, segments);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xff0000,
+            transparent: true,
+            opacity: 0.15,
+            wireframe: true,
+            side: THREE.DoubleSide
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        this.updateZone(mesh, zone);
+        return mesh;
+    }
+
+    // currentTime is simulation time in milliseconds
+    updateNode(mesh, currentTime, deltaTime) {
+        // Rotate the node
+        mesh.rotation.y += 0.6 * deltaTime;
+        mesh.rotation.x += 0.3 * deltaTime;
+
+        // Rotate rings
+        mesh.userData.rings[0].rotation.z += 1.2 * deltaTime;
+        mesh.userData.rings[1].rotation.y += 1.2 * deltaTime;
+
+        // Pulse glow
+        const pulse = Math.sin(currentTime * 0.002) * 0.2 + 0.3;
+        mesh.userData.glow.material.opacity = pulse;
+    }
+
+    updateRecycler(mesh, currentTime, deltaTime) {
+        // Rotate wireframe globe
+        mesh.rotation.y += 0.3 * deltaTime;
+        mesh.rotation.x += 0.18 * deltaTime;
+
+        // Pulse core
+        const pulse = Math.sin(currentTime * 0.003 + mesh.userData.pulsePhase) * 0.5 + 1;
+        mesh.userData.core.scale.set(pulse, pulse, pulse);
+
+        // Pulse wireframe opacity
+        mesh.material.opacity = Math.sin(currentTime * 0.002) * 0.2 + 0.6;
+    }
+
+    updateBuilding(mesh, building, deltaTime) {
+        const time = mesh.userData.animationTime += deltaTime;
+
+        if (mesh.userData.level !== building.level) {
+            this.applyBuildingLevel(mesh, building);
+        }
+        if (mesh.userData.levelBadge) {
+            mesh.userData.levelBadge.rotation.y += deltaTime * 1.5;
+        }
+
+        if (building.type === BuildingType.RECYCLER) {
+            // Rotate recycler
+            mesh.rotation.y += deltaTime * 0.5;
+            mesh.rotation.x = Math.sin(time) * 0.1;
+
+        } else if (building.type === BuildingType.OXYGEN_GENERATOR) {
+            // Pulse oxygen generator
+            const scale = mesh.userData.levelScale * (1 + Math.sin(time * 2) * 0.1);
+            mesh.scale.set(scale, scale, scale);
+            mesh.material.emissiveIntensity = mesh.userData.levelGlow + Math.sin(time * 3) * 0.2;
+
+        } else if (building.type === BuildingType.TREE) {
+            // Gentle sway for tree
+            const foliage = mesh.children[1];
+            if (foliage) {
+                foliage.rotation.z = Math.sin(time * 0.5) * 0.05;
+            }
+        }
+    }
+
+    // Upgraded buildings grow, glow brighter and get a gold orb circling them per level gained
+    applyBuildingLevel(mesh, building) {
+        const level = building.level;
+        const gained = level - 1;
+        mesh.userData.level = level;
+        mesh.userData.levelScale = getLevelScale(level);
+        mesh.scale.setScalar(mesh.userData.levelScale);
+
+        // Base glow of the building's main material (see createBuildingMesh)
+        if (building.type === BuildingType.TREE) {
+            mesh.children[1].material.emissiveIntensity = 0.2 + gained * 0.25;
+        } else if (building.type === BuildingType.RECYCLER) {
+            mesh.material.emissiveIntensity = 0.3 + gained * 0.25;
+        } else {
+            mesh.userData.levelGlow = 0.4 + gained * 0.25;
+        }
+
+        if (mesh.userData.levelBadge) {
+            disposeObject(mesh.userData.levelBadge);
+            mesh.userData.levelBadge = null;
+        }
+        if (gained === 0) return;
+
+        const badge = new THREE.Group();
+        for (let i = 0; i < gained; i++) {
+            const angle = (i / gained) * Math.PI * 2;
+            const orb = new THREE.Mesh(
+                new THREE.OctahedronGeometry(0.35, 0),
+                new THREE.MeshBasicMaterial({ color: 0xffd700 })
+            );
+            orb.position.set(Math.cos(angle) * 3, building.type === BuildingType.TREE ? 6 : 2.5, Math.sin(angle) * 3);
+            badge.add(orb);
+        }
+        mesh.add(badge);
+        mesh.userData.levelBadge = badge;
+    }
+
+    // Recolor a zone for its health (on creation and when its health changes)
+    updateZone(mesh, zone) {
+        const material = mesh.material;
+
+        // Color transition: red (0%) -> yellow (50%) -> green (100%)
+        const healthPercent = zone.health / 100;
+
+        let r, g, b;
+        if (healthPercent < 0.5) {
+            // Red to yellow
+            const t = healthPercent * 2;
+            r = 1;
+            g = t;
+            b = 0;
+        } else {
+            // Yellow to green
+            const t = (healthPercent - 0.5) * 2;
+            r = 1 - t;
+            g = 1;
+            b = 0;
+        }
+
+        material.color.setRGB(r, g, b);
+        material.opacity = 0.1 + (healthPercent * 0.2);
+    }
+
+    createHighlightMesh(color, opacity) {
+        const mesh = new THREE.Mesh(
+            new THREE.IcosahedronGeometry(1, 1),
+            new THREE.MeshBasicMaterial({
+                color,
+                wireframe: true,
+                transparent: true,
+                opacity,
+                depthWrite: false
+            })
+        );
+        mesh.visible = false;
+        this.scene.add(mesh);
+        return mesh;
+    }
+
+    /**
+     * Outline the hovered and the selected entity (each { position, radius } or null)
+     */
+    setHighlights(hovered, selected, deltaTime) {
+        [[this.hoverHighlight, hovered], [this.selectHighlight, selected]].forEach(([mesh, target]) => {
+            mesh.visible = Boolean(target);
+            if (!target) return;
+
+            mesh.position.copy(target.position);
+            mesh.scale.setScalar(target.radius * 1.15);
+            mesh.rotation.y += 0.8 * deltaTime;
+        });
+
+        // Hovering the selected entity shows just the selection
+        if (hovered && selected && hovered.position === selected.position) {
+            this.hoverHighlight.visible = false;
+        }
+    }
+
+    // Brief glow when a recycler swallows a piece of debris
+    flashRecycler(recycler) {
+        const mesh = this.recyclerMeshes.get(recycler);
+        if (!mesh) return;
+
+        const material = mesh.userData.innerGlow.material;
+        material.opacity = 0.5;
+        setTimeout(() => {
+            material.opacity = 0.1;
+        }, 200);
+    }
+
+    /**
+     * Remove and free every mesh drawn for the world (between runs)
+     */
+    clear() {
+        [this.nodeMeshes, this.recyclerMeshes, this.buildingMeshes, this.zoneMeshes].forEach(meshes => {
+            meshes.forEach(mesh => disposeObject(mesh));
+            meshes.clear();
+        });
+        this.debrisRenderer.update([]);
+        this.setHighlights(null, null, 0);
+        this.removePlacementGhost();
+    }
+
+    dispose() {
+        this.clear();
+        disposeObject(this.hoverHighlight);
+        disposeObject(this.selectHighlight);
+        this.debrisRenderer.dispose();
+    }
+}
@@ -1,67 +1,132 @@
 import * as THREE from 'three';
 import { GameEngine } from './GameEngine.js';
-import { GameStateManager } from './GameStateManager.js';
+import { Simulation } from './Simulation.js';
+import { EventBus, GameEvent } from './EventBus.js';
+import { WorldRenderer } from './WorldRenderer.js';
 import { EffectsManager } from './EffectsManager.js';
 import { AudioManager } from './AudioManager.js';
 import { UIManager } from './UIManager.js';
 import { RenderManager } from './RenderManager.js';
-import { InputManager } from './InputManager.js';
-import { ResourceSystem } from './ResourceSystem.js';
-import { BuildingSystem, BuildingType, BUILDING_CONFIGS } from './BuildingSystem.js';
-import { EnvironmentalSystem } from './EnvironmentalSystem.js';
+import { InputManager, GamepadButton } from './InputManager.js';
+import { InputAction } from './KeyBindings.js';
+import { BuildingType, BUILDING_CONFIGS } from './BuildingSystem.js';
+import { SaveGameSystem } from './SaveGameSystem.js';
+import { SeededRandom } from './SeededRandom.js';
+import { ReplaySystem } from './ReplaySystem.js';
+import { QualityManager } from './QualityManager.js';
+import { WorldLifecycle } from './WorldLifecycle.js';
+import { DisplayManager } from './DisplayManager.js';
+import { CameraMode, CAMERA_MODES } from './CameraController.js';
+import { Radar } from './Radar.js';
+import { WaypointMarkers } from './WaypointMarkers.js';
+import { PickingSystem, PickKind } from './PickingSystem.js';
 
 class GravshiftGame {
     constructor() {
         this.container = document.getElementById('game-container');
         
+        // Game rules live in the simulation; everything below draws, plays or shows it
+        // and reacts to the events it reports on the bus
+        this.events = new EventBus();
+        this.sim = new Simulation({ events: this.events });
+        
         // Initialize managers
-        this.engine = new GameEngine(this.container);
-        this.gameState = new GameStateManager();
-        this.effects = new EffectsManager(this.engine);
-        this.audio = new AudioManager();
-        this.ui = new UIManager(this.gameState);
-        this.render = new RenderManager(this.engine);
+        this.engine = new GameEngine(this.container, this.events);
+        this.world = new WorldRenderer(this.engine.scene, this.sim);
+        this.effects = new EffectsManager(this.engine, this.events);
+        this.audio = new AudioManager(this.events);
+        this.ui = new UIManager(this.sim.gameState, this.events);
+        this.quality = new QualityManager();
+        this.lifecycle = new WorldLifecycle(this.sim, this.engine, this.world);
+        this.render = new RenderManager(this.engine, this.sim, this.quality, this.lifecycle);
         this.input = new InputManager();
-        
-        // Initialize new systems
-        this.resources = new ResourceSystem();
-        this.buildings = new BuildingSystem(this.engine.scene);
-        this.environment = new EnvironmentalSystem(this.engine.scene);
+        this.ui.setupKeyBindings(this.input);
+        this.saveGame = new SaveGameSystem();
+        
+        // Graphics quality (Auto adapts to measured frame time)
+        this.quality.subscribe(settings => this.applyQuality(settings));
+        this.ui.setupQualitySettings(this.quality);
+        
+        // Fullscreen and pointer-lock mouse look
+        this.display = new DisplayManager(this.engine.renderer.domElement);
+        this.ui.setupDisplaySettings(this.display);
+        this.mouseLookSensitivity = 0.0025;
+        this.pointerWasLocked = false;
+        
+        // Camera mode picked by the player; idle time and menus show the cinematic orbit instead
+        this.ui.setupCameraSettings(this.engine.cameraController);
+        this.cameraMode = CameraMode.CHASE;
+        this.modeBeforeBuild = null; // Mode to return to when build mode leaves the tactical view
+        this.idleCinematicDelay = 20; // Seconds without input
+        this.attractTarget = new THREE.Vector3();
+        this.attractFrameId = null;
+        
+        // Radar minimap in the HUD
+        this.radar = new Radar(document.getElementById('radar'));
+        this.viewDirection = new THREE.Vector3();
+        
+        // Markers for the nearest recycler, mission targets and pinned buildings
+        this.waypoints = new WaypointMarkers(document.getElementById('waypoints'), this.engine.camera);
+        
+        // Mouse picking: hover highlights, click opens the inspector
+        this.picking = new PickingSystem(this.engine.camera, this.sim);
+        this.hovered = null;
+        this.selected = null;
+        this.clickStart = null;
+        this.clickTolerance = 5; // Pixels the mouse may move for a press to still count as a click
+        
+        // Set while the game is paused because the WebGL context was lost
+        this.contextPaused = false;
+        
+        // Replay recording/playback
+        this.replay = new ReplaySystem();
+        this.replaySpeed = 1;
+        this.replayPaused = false;
+        this.replaySeekTarget = null; // Tick being fast-forwarded to while scrubbing
+        this.maxSeekStepsPerFrame = 600;
         
         // Building mode state
         this.buildMode = false;
         this.selectedBuildingType = null;
+        this.placementRotation = 0;
+        this.placementRotationStep = Math.PI / 4;
+        this.maxPlacementDistance = 40; // How far from the player buildings can go
+        this.placementPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        this.buildingActionRange = 30; // Without a building inspected, building actions pick the nearest in this range
+        this.relocating = null; // Building being moved (its new spot is picked like a placement)
+        this.pendingDemolish = null; // { building, expires } until the demolish is confirmed
+        this.demolishConfirmTime = 3000; // ms to press demolish again in
         
         // Camera rotation state
         this.isDragging = false;
         this.lastMouseX = 0;
         this.lastMouseY = 0;
         
-        // Gravity field state
-        this.gravityMode = 'neutral'; // 'attract', 'repel', 'neutral'
-        this.gravityStrength = 15;
-        this.gravityRange = 30;
+        // Gamepad camera/zoom rates (per second at full deflection)
+        this.gamepadLookSpeed = 2.5;
+        this.gamepadZoomSpeed = 600;
+        this.gamepadGravitySpeed = 20;
         
         // Game state
         this.isRunning = false;
         this.isPaused = false;
         this.player = null;
-        this.playerVelocity = new THREE.Vector3();
-        this.playerPosition = new THREE.Vector3(0, 0, 0);
-        
-        // Carried debris system
-        this.carriedDebris = [];
-        this.maxCarriedDebris = 20; // Increased capacity
-        this.grabRange = 15; // Auto-grab range
-        
-        // Game settings
-        this.debrisSpawnTimer = 0;
-        this.debrisSpawnInterval = 2;
-        this.maxDebris = 90;
         
         // Time tracking
         this.lastTime = 0;
-        this.gameTime = 0;
+        this.animationFrameId = null;
+        
+        // Fixed-step simulation: the game updates in 1/60s ticks regardless of frame rate,
+        // rendering interpolates the player between the last two ticks
+        this.fixedTimeStep = 1 / 60;
+        this.maxFrameTime = 0.25; // Avoid a spiral of death after long stalls
+        this.accumulator = 0;
+        this.previousPlayerPosition = new THREE.Vector3();
+        this.renderPlayerPosition = new THREE.Vector3();
+        
+        // Autosave interval (seconds of game time)
+        this.autosaveInterval = 30;
+        this.autosaveTimer = 0;
         
         // Setup hotkeys and event listeners
         this.setupHotkeys();
@@ -69,72 +134,236 @@ class GravshiftGame {
         
         // Hide HUD initially
         this.ui.hideHUD();
+        this.ui.updateContinueButton(this.saveGame.getSaveInfo());
+        this.startAttractLoop();
     }
 
     setupHotkeys() {
         // ESC - Pause/Resume
         this.input.registerHotkey('escape', () => {
-            if (this.isRunning && !this.isPaused) {
+            if (this.replay.isPlaying()) {
+                this.exitPlayback();
+            } else if (this.isRunning && !this.isPaused) {
                 this.pause();
             }
             return false; // Prevent default
         });
         
+        // Start - Pause/Resume on a gamepad
+        this.input.registerGamepadButton(GamepadButton.START, () => {
+            if (this.replay.isPlaying()) {
+                this.exitPlayback();
+            } else if (this.isRunning && this.isPaused) {
+                this.ui.hideMenu('pause-menu');
+                this.resume();
+            } else if (this.isRunning) {
+                this.pause();
+            }
+        });
+        
         // F3 - Toggle debug info
         this.input.registerHotkey('f3', () => {
             this.render.toggleDebugInfo();
             return false;
         });
         
-        // G - Toggle gravity mode (Attract/Repel/Neutral)
-        this.input.registerHotkey('g', () => {
+        // Rebindable actions (default keys in KeyBindings.js)
+        
+        // Toggle gravity mode (Attract/Repel/Neutral)
+        const cycleGravity = () => {
             if (this.isRunning && !this.isPaused && !this.buildMode) {
-                this.cycleGravityMode();
+                this.dispatchCommand('gravity');
+            }
+        };
+        this.input.registerAction(InputAction.CYCLE_GRAVITY, cycleGravity);
+        this.input.registerGamepadButton(GamepadButton.X, () => {
+            if (this.input.isGamepadButtonPressed(GamepadButton.LB)) {
+                this.requestUndo();
+            } else {
+                cycleGravity();
             }
-            return false;
         });
         
-        // B - Toggle build mode
-        this.input.registerHotkey('b', () => {
+        // Toggle build mode
+        const toggleBuild = () => {
             if (this.isRunning && !this.isPaused) {
-                this.toggleBuildMode();
+                this.dispatchCommand('build');
             }
-            return false;
+        };
+        this.input.registerAction(InputAction.TOGGLE_BUILD, toggleBuild);
+        this.input.registerGamepadButton(GamepadButton.Y, () => {
+            if (this.input.isGamepadButtonPressed(GamepadButton.LB)) {
+                this.toggleRelocation();
+            } else {
+                toggleBuild();
+            }
+        });
+        
+        // Building selection
+        const buildingActions = {
+            [InputAction.SELECT_BUILDING_1]: BuildingType.RECYCLER,
+            [InputAction.SELECT_BUILDING_2]: BuildingType.TREE,
+            [InputAction.SELECT_BUILDING_3]: BuildingType.OXYGEN_GENERATOR
+        };
+        Object.entries(buildingActions).forEach(([action, type]) => {
+            this.input.registerAction(action, () => {
+                if (this.buildMode) {
+                    this.dispatchCommand('select', type);
+                }
+            });
         });
         
-        // Number keys 1-3 for building selection
-        this.input.registerHotkey('1', () => {
-            if (this.buildMode) {
-                this.selectBuilding(BuildingType.RECYCLER);
+        // D-pad left/right cycles buildings (turns the building with LB held), RB places on a gamepad
+        const dpadBuild = (direction) => {
+            if (this.input.isGamepadButtonPressed(GamepadButton.LB)) {
+                this.rotatePlacement(direction);
+            } else {
+                this.cycleBuildingSelection(direction);
+            }
+        };
+        this.input.registerGamepadButton(GamepadButton.DPAD_LEFT, () => dpadBuild(-1));
+        this.input.registerGamepadButton(GamepadButton.DPAD_RIGHT, () => dpadBuild(1));
+        this.input.registerAction(InputAction.ROTATE_BUILDING, () => this.rotatePlacement(1));
+        this.input.registerGamepadButton(GamepadButton.RB, () => {
+            if (!this.isRunning || this.isPaused || this.replay.isPlaying()) return;
+            if (this.input.isGamepadButtonPressed(GamepadButton.LB)) {
+                this.requestDemolish();
+            } else if (this.relocating) {
+                this.requestRelocation();
+            } else if (this.buildMode) {
+                this.requestPlacement();
+            } else {
+                this.requestUpgrade();
             }
-            return false;
         });
         
-        this.input.registerHotkey('2', () => {
-            if (this.buildMode) {
-                this.selectBuilding(BuildingType.TREE);
+        // Click/tap a building card to select it
+        document.querySelectorAll('#build-ui .building-option').forEach(option => {
+            option.addEventListener('click', () => {
+                if (this.buildMode) {
+                    this.dispatchCommand('select', option.dataset.type);
+                }
+            });
+        });
+        
+        // Mouse click: places the selected (or moved) building in build mode, otherwise inspects what's under it
+        window.addEventListener('click', (e) => {
+            if (e.target.closest('.menu, .panel, .replay-controls, .build-panel, .touch-controls, .radar, .inspector, #sidebar')) {
+                return;
+            }
+            
+            if (this.relocating) {
+                if (this.isRunning && !this.isPaused && this.isClick(e)) {
+                    this.requestRelocation();
+                }
+            } else if (this.buildMode) {
+                if (this.selectedBuildingType && !this.replay.isPlaying() && this.isClick(e)) {
+                    this.requestPlacement();
+                }
+            } else if (this.isRunning && !this.isPaused && this.isClick(e)) {
+                this.selectAt(this.getPointerPosition());
             }
-            return false;
         });
         
-        this.input.registerHotkey('3', () => {
-            if (this.buildMode) {
-                this.selectBuilding(BuildingType.OXYGEN_GENERATOR);
+        // Display modes
+        this.input.registerAction(InputAction.TOGGLE_FULLSCREEN, (e) => {
+            if (!e.repeat) {
+                this.display.toggleFullscreen();
             }
-            return false;
+        });
+        this.input.registerAction(InputAction.TOGGLE_MOUSE_LOOK, (e) => {
+            if (e.repeat) return;
+            
+            const enabled = this.display.toggleMouseLook();
+            if (enabled && this.isRunning && !this.isPaused) {
+                this.display.lockPointer();
+            }
+            this.ui.showNotification('🖱️ Mouse look', enabled ? 'On - click the game to capture the mouse' : 'Off - drag to turn the camera', 'normal');
         });
         
-        // Mouse click for building placement
-        window.addEventListener('click', (e) => {
-            if (this.buildMode && this.selectedBuildingType && !e.target.closest('.menu, .panel')) {
-                this.tryPlaceBuilding();
+        // Camera modes (Chase, Tactical, Cockpit, Free Fly, Cinematic)
+        const cycleCamera = (e) => {
+            if (this.isRunning && !this.isPaused && !e?.repeat) {
+                this.cycleCameraMode();
+            }
+        };
+        this.input.registerAction(InputAction.CYCLE_CAMERA, cycleCamera);
+        this.input.registerGamepadButton(GamepadButton.BACK, cycleCamera);
+        
+        // Radar: toggle and zoom (clicking the radar zooms too)
+        const toggleRadar = (e) => {
+            if (e?.repeat) return;
+            const visible = this.radar.toggle();
+            this.ui.showNotification('📡 Radar', visible ? 'On' : 'Off', 'normal');
+        };
+        const zoomRadar = (e) => {
+            if (e?.repeat) return;
+            this.ui.showNotification('📡 Radar', `Range ${this.radar.cycleZoom()}m`, 'normal');
+        };
+        this.input.registerAction(InputAction.TOGGLE_RADAR, toggleRadar);
+        this.input.registerAction(InputAction.RADAR_ZOOM, zoomRadar);
+        this.input.registerGamepadButton(GamepadButton.LEFT_STICK, toggleRadar);
+        this.input.registerGamepadButton(GamepadButton.RIGHT_STICK, zoomRadar);
+        document.getElementById('radar')?.addEventListener('click', () => zoomRadar());
+        
+        // Pin the nearest building so a waypoint keeps pointing at it
+        this.input.registerAction(InputAction.PIN_BUILDING, (e) => {
+            if (e.repeat || !this.isRunning || this.isPaused) return;
+            
+            const result = this.waypoints.togglePinNearest(this.sim.buildings.getBuildings(), this.sim.player.position);
+            if (!result) {
+                this.ui.showNotification('📌 Nothing to pin', 'Move closer to a building', 'error');
+                return;
+            }
+            const name = BUILDING_CONFIGS[result.building.type].name;
+            this.ui.showNotification(result.pinned ? '📌 Pinned' : '📌 Unpinned', name, 'normal');
+        });
+        
+        // Upgrade, move or demolish the inspected building (or the nearest one), and undo the last placement
+        const buildingCommands = {
+            [InputAction.UPGRADE_BUILDING]: () => this.requestUpgrade(),
+            [InputAction.RELOCATE_BUILDING]: () => this.toggleRelocation(),
+            [InputAction.DEMOLISH_BUILDING]: () => this.requestDemolish(),
+            [InputAction.UNDO_PLACEMENT]: () => this.requestUndo()
+        };
+        Object.entries(buildingCommands).forEach(([action, handler]) => {
+            this.input.registerAction(action, (e) => {
+                if (!e.repeat) {
+                    handler();
+                }
+            });
+        });
+        
+        // Mouse look: relative movement turns the camera while the pointer is locked
+        this.display.onLook((deltaX, deltaY) => {
+            if (this.isRunning && !this.isPaused) {
+                this.dispatchCommand('camera', -deltaX * this.mouseLookSensitivity, -deltaY * this.mouseLookSensitivity);
+            }
+        });
+        
+        // Leaving pointer lock (Esc) mid-run pauses, like any other way out of the game
+        this.display.subscribe(({ pointerLocked, mouseLook }) => {
+            if (this.pointerWasLocked && !pointerLocked && mouseLook &&
+                this.isRunning && !this.isPaused && !this.replay.isPlaying()) {
+                this.pause();
             }
+            this.pointerWasLocked = pointerLocked;
         });
         
-        // Mouse drag for camera rotation
+        // Mouse drag for camera rotation (a click captures the mouse instead in mouse look)
         window.addEventListener('mousedown', (e) => {
-            // Only start drag if left button and not in build mode
-            if (e.button === 0 && !this.buildMode && !e.target.closest('.menu, .panel, .sidebar')) {
+            if (e.button !== 0 || e.target.closest('.menu, .panel, .sidebar, .replay-controls, .touch-controls, .radar, .inspector')) {
+                return;
+            }
+            
+            this.clickStart = { x: e.clientX, y: e.clientY, locked: this.display.isPointerLocked() };
+            
+            if (this.display.mouseLook) {
+                if (this.isRunning && !this.isPaused) {
+                    this.display.lockPointer();
+                }
+            } else if (!this.buildMode && !this.relocating) {
+                // Only start drag if not placing or moving a building
                 this.isDragging = true;
                 this.lastMouseX = e.clientX;
                 this.lastMouseY = e.clientY;
@@ -149,8 +378,7 @@ class GravshiftGame {
                 
                 // Rotate camera based on mouse movement
                 const sensitivity = 0.005;
-                this.engine.rotateCameraH(-deltaX * sensitivity);
-                this.engine.rotateCameraV(-deltaY * sensitivity);
+                this.dispatchCommand('camera', -deltaX * sensitivity, -deltaY * sensitivity);
                 
                 this.lastMouseX = e.clientX;
                 this.lastMouseY = e.clientY;
@@ -176,695 +404,737 @@ class GravshiftGame {
                 if (e.ctrlKey) {
                     // Ctrl + Wheel: Adjust gravity strength
                     e.preventDefault();
-                    this.gravityStrength = Math.max(5, Math.min(50, this.gravityStrength - e.deltaY * 0.01));
-                    console.log(`Gravity strength: ${this.gravityStrength.toFixed(1)}`);
+                    this.dispatchCommand('strength', Math.max(5, Math.min(50, this.sim.gravityStrength - e.deltaY * 0.01)));
                 } else {
                     // Wheel only: Zoom camera
                     e.preventDefault();
-                    this.handleZoom(e.deltaY);
+                    this.dispatchCommand('zoom', e.deltaY);
                 }
             }
         }, { passive: false });
         
-        // Plus/Minus keys for zoom (alternative controls)
-        this.input.registerHotkey('equal', () => { // + key (same as =)
+        // Touch: pinch zooms, two-finger drag orbits the camera
+        this.input.on('pinch', (delta) => {
             if (this.isRunning && !this.isPaused) {
-                this.handleZoom(-100); // Zoom in
+                this.dispatchCommand('zoom', delta);
             }
-            return false;
         });
         
-        this.input.registerHotkey('minus', () => { // - key
+        this.input.on('orbit', (deltaH, deltaV) => {
             if (this.isRunning && !this.isPaused) {
-                this.handleZoom(100); // Zoom out
+                this.dispatchCommand('camera', deltaH, deltaV);
+            }
+        });
+        
+        // Zoom keys (alternative to the wheel)
+        this.input.registerAction(InputAction.ZOOM_IN, () => {
+            if (this.isRunning && !this.isPaused) {
+                this.dispatchCommand('zoom', -100);
+            }
+        });
+        
+        this.input.registerAction(InputAction.ZOOM_OUT, () => {
+            if (this.isRunning && !this.isPaused) {
+                this.dispatchCommand('zoom', 100);
             }
-            return false;
         });
         
         // E - Grab/Release debris (removed - now auto-grabs)
-        // R key now handled in handleInput for harvesting
+        // R key now handled in Simulation.handleInput for harvesting
+    }
+
+    // Player commands go through here so replays can record and re-apply them
+    dispatchCommand(type, ...args) {
+        // During playback the recording drives the game; the viewer only moves the camera
+        if (this.replay.isPlaying() && type !== 'camera' && type !== 'zoom') return;
+        
+        // Round numbers so live play uses exactly what the recording stores
+        const values = args.map(value => typeof value === 'number' ? ReplaySystem.quantize(value) : value);
+        
+        if (this.replay.isRecording()) {
+            this.replay.recordEvent(this.sim.tick, type, values);
+        }
+        this.applyCommand(type, values);
+    }
+
+    applyCommand(type, args) {
+        switch (type) {
+            case 'gravity':
+                this.sim.cycleGravityMode();
+                break;
+            case 'strength':
+                this.sim.setGravityStrength(args[0]);
+                console.log(`Gravity strength: ${args[0].toFixed(1)}`);
+                break;
+            case 'build':
+                this.toggleBuildMode();
+                break;
+            case 'select':
+                this.selectBuilding(args[0]);
+                break;
+            case 'place':
+                this.tryPlaceBuilding(new THREE.Vector3(args[0], args[1], args[2]), args[3] ?? 0);
+                break;
+            case 'upgrade':
+                this.sim.upgradeBuilding(args[0]);
+                break;
+            case 'relocate':
+                this.sim.relocateBuilding(args[0], new THREE.Vector3(args[1], args[2], args[3]), args[4] ?? 0);
+                break;
+            case 'demolish':
+                this.sim.demolishBuilding(args[0]);
+                break;
+            case 'undo':
+                this.sim.undoLastPlacement();
+                break;
+            case 'camera':
+                this.engine.rotateCameraH(args[0]);
+                this.engine.rotateCameraV(args[1]);
+                break;
+            case 'zoom':
+                this.handleZoom(args[0]);
+                break;
+            case 'maxDebris':
+                this.sim.setMaxDebris(args[0]);
+                break;
+            default:
+                console.warn(`Unknown command: ${type}`);
+        }
     }
 
     setupGameEvents() {
-        window.addEventListener('game-start', () => this.startGame());
-        window.addEventListener('game-resume', () => this.resume());
-        window.addEventListener('game-restart', () => this.restartGame());
-        window.addEventListener('game-quit', () => this.quitGame());
+        const events = this.events;
+        
+        events.on(GameEvent.MENU_START, () => this.startGame());
+        events.on(GameEvent.MENU_CONTINUE, () => this.continueGame());
+        events.on(GameEvent.MENU_RESUME, () => this.resume());
+        events.on(GameEvent.MENU_RESTART, () => this.restartGame());
+        events.on(GameEvent.MENU_END_RUN, () => this.endRun('manual'));
+        events.on(GameEvent.MENU_QUIT, () => this.quitGame());
+        
+        // Replays
+        events.on(GameEvent.REPLAY_EXPORT, () => this.exportReplay());
+        events.on(GameEvent.REPLAY_LOAD, ({ json }) => this.loadReplay(json));
+        events.on(GameEvent.REPLAY_WATCH, () => this.watchReplay(this.replay.getRecording(this.sim.tick)));
+        events.on(GameEvent.REPLAY_TOGGLE, () => this.togglePlayback());
+        events.on(GameEvent.REPLAY_SPEED, ({ speed }) => this.setPlaybackSpeed(speed));
+        events.on(GameEvent.REPLAY_SEEK, ({ tick }) => this.seekReplay(tick));
+        events.on(GameEvent.REPLAY_EXIT, () => this.exitPlayback());
+        events.on(GameEvent.INSPECTOR_CLOSE, () => this.select(null));
+        events.on(GameEvent.INSPECTOR_ACTION, ({ action }) => {
+            if (action === 'upgrade') {
+                this.requestUpgrade();
+            } else if (action === 'relocate') {
+                this.toggleRelocation();
+            } else if (action === 'demolish') {
+                this.requestDemolish();
+            }
+        });
+        
+        // A move is over once the building is down (a rejected spot keeps it going)
+        events.on(GameEvent.BUILDING_MOVED, ({ building }) => {
+            if (building === this.relocating) {
+                this.relocating = null;
+            }
+        });
+        
+        // The simulation ends runs (oxygen); the summary screen is ours to show
+        events.on(GameEvent.RUN_ENDED, ({ reason }) => this.endRun(reason));
+        
+        // Hold the run while the GPU context is gone and carry on once it's back
+        events.on(GameEvent.CONTEXT_LOST, () => {
+            if (this.isRunning && !this.isPaused) {
+                this.contextPaused = true;
+                this.pause(false);
+            }
+        });
+        events.on(GameEvent.CONTEXT_RESTORED, () => {
+            if (this.contextPaused) {
+                this.contextPaused = false;
+                this.resume(false);
+            }
+        });
+        
+        // Save the run if the page is closed mid-game
+        window.addEventListener('pagehide', () => {
+            if (this.isRunning) {
+                this.saveRun();
+            }
+        });
     }
 
-    startGame() {
+    startGame(savedRun = null, recording = null) {
+        this.stopAttractLoop();
+        this.lifecycle.begin();
+        this.setupRun(savedRun, recording);
+        
+        // Subscribe to resource updates for this run only (shows the current resources right away)
+        this.lifecycle.track(this.sim.resources.subscribe(resources => {
+            this.updateResourceDisplay(resources);
+        }));
+        this.lifecycle.track(() => this.waypoints.clear());
+        this.lifecycle.track(() => {
+            this.select(null);
+            this.hovered = null;
+            this.relocating = null;
+            this.pendingDemolish = null;
+        });
+        
+        this.events.emit(GameEvent.RUN_STARTED, { replay: Boolean(recording) });
+        
+        // Start game loop
+        this.animationFrameId = requestAnimationFrame((time) => this.gameLoop(time));
+    }
+
+    // Put the world and run state at tick 0 (also used to rewind a replay)
+    setupRun(savedRun = null, recording = null) {
         this.isRunning = true;
         this.isPaused = false;
-        this.gameTime = 0;
         this.lastTime = performance.now();
+        this.accumulator = 0;
+        this.autosaveTimer = 0;
+        
+        // Build mode starts off with nothing selected
+        if (this.buildMode) {
+            this.toggleBuildMode();
+        }
+        this.selectBuilding(null);
+        
+        // Seed the run (?seed= in the URL reproduces a run, otherwise pick a new one)
+        let seed;
+        if (recording) {
+            seed = recording.seed;
+        } else if (savedRun) {
+            seed = savedRun.run.rng.seed;
+        } else {
+            seed = SeededRandom.getSeedFromUrl() ?? SeededRandom.generateSeed();
+        }
+        this.sim.reset(seed);
+        this.engine.createStarField(this.sim.sceneryRng);
+        this.ui.setRunSeed(this.sim.rng.seed);
         
-        // Reset game state
-        this.gameState.reset();
+        if (savedRun) {
+            this.sim.restore(savedRun);
+        } else {
+            this.sim.createDefaultWorld();
+        }
         
         // Create player
-        this.playerPosition.set(0, 0, 0);
-        this.playerVelocity.set(0, 0, 0);
-        this.player = this.engine.createPlayer(this.gameState.mass);
-        
-        // Start first mission
-        this.gameState.startNewMission();
-        
-        // Initialize environmental zones
-        this.environment.createZone(new THREE.Vector3(0, 0, 0), 50, 10);
-        this.environment.createZone(new THREE.Vector3(40, 0, 40), 40, 5);
-        this.environment.createZone(new THREE.Vector3(-40, 0, -40), 40, 5);
-        
-        // Create debris nodes (cyan crystals that spawn debris)
-        this.engine.createDebrisNode(new THREE.Vector3(30, 0, 20), 3000, 5);
-        this.engine.createDebrisNode(new THREE.Vector3(-40, 10, -30), 2500, 4);
-        this.engine.createDebrisNode(new THREE.Vector3(0, -20, 50), 4000, 6);
-        this.engine.createDebrisNode(new THREE.Vector3(50, 5, -40), 3500, 5);
-        
-        // Create recycler globes (red wireframe spheres that absorb debris)
-        this.engine.createRecycler(new THREE.Vector3(60, 0, 0), 10);
-        this.engine.createRecycler(new THREE.Vector3(-60, 15, -20), 8);
-        this.engine.createRecycler(new THREE.Vector3(0, -30, 60), 12);
-        this.engine.createRecycler(new THREE.Vector3(-50, -10, 40), 9);
-        
-        // Subscribe to resource updates
-        this.resources.subscribe(resources => {
-            this.updateResourceDisplay(resources);
-        });
-        
-        // Show HUD
-        this.ui.showHUD();
-        this.ui.updateHUD();
-        this.updateResourceDisplay(this.resources.getResources());
+        this.player = this.engine.createPlayer(this.sim.gameState.mass);
+        this.player.position.copy(this.sim.player.position);
+        this.previousPlayerPosition.copy(this.sim.player.position);
+        
+        // Fresh runs are recorded; a continued run has no recording from tick 0
+        if (recording) {
+            this.replay.startPlayback(recording);
+            this.sim.gameState.suspendProfile(recording.achievements);
+        } else if (savedRun) {
+            this.replay.clear();
+        } else {
+            this.replay.startRecording(seed, Math.round(1 / this.fixedTimeStep),
+                this.sim.gameState.getUnlockedAchievementIds());
+        }
         
-        // Start ambient audio
-        this.audio.startAmbient();
+        // The debris cap follows graphics quality; as a command it is replayed too
+        this.dispatchCommand('maxDebris', this.quality.getSettings().maxDebris);
+    }
+    
+    // Push graphics quality to every system that draws something
+    applyQuality(settings) {
+        this.engine.setQuality(settings);
+        this.world.setQuality(settings);
+        this.effects.setQuality(settings);
+        
+        if (this.isRunning) {
+            this.dispatchCommand('maxDebris', settings.maxDebris);
+        }
+    }
+
+    continueGame() {
+        const savedRun = this.saveGame.load();
+        if (!savedRun) {
+            this.ui.updateContinueButton(null);
+            this.ui.showMenu('main-menu');
+            return;
+        }
+        this.startGame(savedRun);
+    }
+
+    saveRun() {
+        // Watching a replay never overwrites the player's own save
+        if (this.replay.isPlaying()) return;
         
-        // Start game loop
-        this.gameLoop(this.lastTime);
+        this.sim.gameState.commitLifetimeStats();
+        this.saveGame.save(this.sim.serialize());
+        this.autosaveTimer = 0;
     }
 
-    pause() {
+    pause(showMenu = true) {
         this.isPaused = true;
-        this.ui.showMenu('pause-menu');
-        this.audio.pause();
+        this.saveRun();
+        this.display.unlockPointer();
+        if (showMenu) {
+            this.ui.showMenu('pause-menu');
+        }
+        this.events.emit(GameEvent.RUN_PAUSED);
     }
 
-    resume() {
+    resume(lockPointer = true) {
         this.isPaused = false;
         this.lastTime = performance.now();
-        this.audio.resume();
+        this.accumulator = 0;
+        
+        // Resuming from a click takes the mouse straight back in mouse look (without a click
+        // the browser refuses the lock; the next click on the game captures it instead)
+        if (lockPointer) {
+            this.display.lockPointer();
+        }
+        this.events.emit(GameEvent.RUN_RESUMED);
     }
 
     restartGame() {
-        this.quitGame();
+        this.quitGame(false);
+        this.saveGame.clear();
         this.startGame();
     }
 
-    quitGame() {
+    quitGame(saveRun = true) {
+        if (this.isRunning) {
+            this.sim.gameState.commitLifetimeStats();
+            
+            // Keep the run so it can be continued from the main menu
+            if (saveRun) {
+                this.saveRun();
+            }
+        }
+        
         this.isRunning = false;
         this.isPaused = false;
+        this.replay.stopRecording(this.sim.tick);
+        
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        
+        if (this.buildMode) {
+            this.toggleBuildMode();
+        }
+        
+        this.contextPaused = false;
+        this.display.unlockPointer();
         
-        // Clean up
-        this.engine.debrisPool.releaseAll();
-        this.engine.particlePool.releaseAll();
-        this.effects.clear();
-        this.audio.stopAmbient();
+        // Tear down everything the run created
+        this.lifecycle.teardown();
+        this.player = null;
         this.input.reset();
+        this.events.emit(GameEvent.RUN_STOPPED);
         
-        this.ui.hideHUD();
+        this.ui.updateContinueButton(this.saveGame.getSaveInfo());
+        this.startAttractLoop();
     }
 
-    gameLoop(currentTime) {
-        if (!this.isRunning) return;
+    // Menus orbit the empty scene with the cinematic camera until a run starts
+    startAttractLoop() {
+        if (this.attractFrameId !== null) return;
         
-        // Calculate delta time
-        const deltaTime = Math.min((currentTime - this.lastTime) / 1000, 0.1);
-        this.lastTime = currentTime;
+        this.engine.setCameraMode(CameraMode.CINEMATIC);
+        let lastTime = performance.now();
         
-        if (!this.isPaused) {
-            // Update game
-            this.update(deltaTime);
+        const loop = (time) => {
+            const frameTime = Math.min(Math.max((time - lastTime) / 1000, 0), this.maxFrameTime);
+            lastTime = time;
             
-            // Render
-            this.render.render(deltaTime);
-        }
-        
-        // Continue loop
-        requestAnimationFrame((time) => this.gameLoop(time));
+            this.engine.updateVisuals(frameTime);
+            this.engine.updateCamera(this.attractTarget, frameTime);
+            this.engine.render();
+            this.attractFrameId = requestAnimationFrame(loop);
+        };
+        this.attractFrameId = requestAnimationFrame(loop);
     }
 
-    update(deltaTime) {
-        // Update game time and difficulty
-        this.gameTime += deltaTime;
-        this.updateDifficulty();
+    stopAttractLoop() {
+        if (this.attractFrameId === null) return;
         
-        // Handle input and update player
-        this.handleInput(deltaTime);
-        this.updatePlayer(deltaTime);
-        
-        // Update carried debris positions
-        this.updateCarriedDebris(deltaTime);
-        
-        // Spawn and update all entities (consolidated)
-        this.updateEntities(deltaTime);
-        
-        // Update debris nodes and recyclers
-        const currentTime = Date.now();
-        this.engine.updateDebrisNodes(currentTime, this.playerPosition);
-        const absorbed = this.engine.updateRecyclers(currentTime, this.carriedDebris);
+        cancelAnimationFrame(this.attractFrameId);
+        this.attractFrameId = null;
+    }
+
+    // End the current run and show the summary screen
+    endRun(reason = 'manual') {
+        if (!this.isRunning) return;
         
-        // Process absorbed debris
-        if (absorbed && absorbed.length > 0) {
-            absorbed.forEach(item => {
-                this.processRecyclerAbsorption(item.debris, item.recycler, item.seeking || false);
-            });
+        // A replay stops on its final tick so it can still be scrubbed
+        if (this.replay.isPlaying()) {
+            this.replayPaused = true;
+            return;
         }
         
-        // Update new systems
-        this.buildings.update(deltaTime);
-        this.environment.updateZones(deltaTime, this.buildings.getBuildings());
-        
-        // Process building effects
-        const debris = this.engine.debrisPool.getActive();
-        this.buildings.processRecyclers(deltaTime, debris, this.resources);
-        this.buildings.processOxygenGeneration(deltaTime, this.resources);
-        
-        // Drain oxygen over time
-        this.resources.drainOxygen(deltaTime, 0.5);
-        
-        // Check collisions
-        this.checkCollisions();
-        
-        // Update effects and camera
-        this.effects.update(deltaTime);
-        this.engine.updateCamera(this.playerPosition, deltaTime);
-        
-        // Update gravity field visualization
-        this.effects.updateGravityField(
-            this.playerPosition,
-            this.gravityMode,
-            this.gravityRange,
-            this.gravityStrength
-        );
+        const { gameState } = this.sim;
+        const summary = {
+            reason,
+            score: gameState.score,
+            mass: gameState.mass,
+            tier: gameState.tier,
+            debrisAbsorbed: gameState.debrisAbsorbed,
+            time: this.sim.gameTime,
+            missions: gameState.missions.getCompletedCount(),
+            buildings: this.sim.buildings.getBuildings().length,
+            seed: this.sim.rng.seed
+        };
         
-        // Update UI
-        this.ui.updateHUD();
+        // A finished run can't be continued
+        this.saveGame.clear();
+        this.quitGame(false);
+        this.ui.showGameOver(summary);
     }
 
-    updateDifficulty() {
-        // Improved difficulty scaling based on player power (mass + tier)
-        const powerLevel = this.gameState.mass * this.gameState.tier;
-        const timeFactor = Math.min(this.gameTime / 60, 5); // Cap time influence at 5 minutes
-        
-        // Difficulty based 70% on player power, 30% on time
-        this.gameState.difficulty = 1 + (powerLevel / 100) * 0.7 + timeFactor * 0.3;
-        this.gameState.timeElapsed = this.gameTime;
-        this.gameState.checkAchievements();
+    // Download the current (or last) run's recording
+    exportReplay() {
+        const recording = this.replay.getRecording(this.sim.tick);
+        if (!recording) {
+            this.ui.showNotification('❌ No replay', 'Continued runs are not recorded', 'error');
+            return;
+        }
+        this.ui.downloadReplay(JSON.stringify(recording), recording.seed);
     }
 
-    // Consolidated entity update loop
-    updateEntities(deltaTime) {
-        // Spawn debris
-        this.spawnDebris(deltaTime);
-        
-        // Apply gravity field to debris
-        this.applyGravityField(deltaTime);
-        
-        // Update debris seeking recyclers
-        this.updateSeekingDebris(deltaTime);
-        
-        // Update all active entities in one pass
-        this.engine.update(deltaTime);
-    }
-    
-    updateSeekingDebris(deltaTime) {
-        const debris = this.engine.debrisPool.getActive();
-        const recyclers = this.engine.recyclers;
-        
-        if (!recyclers || recyclers.length === 0) return;
-        
-        debris.forEach(d => {
-            if (d.userData.seekingRecycler) {
-                // Find nearest recycler
-                let nearest = null;
-                let minDistance = Infinity;
-                
-                recyclers.forEach(recycler => {
-                    const distance = d.position.distanceTo(recycler.position);
-                    if (distance < minDistance) {
-                        minDistance = distance;
-                        nearest = recycler;
-                    }
-                });
-                
-                if (nearest) {
-                    // Move towards nearest recycler
-                    const direction = new THREE.Vector3()
-                        .subVectors(nearest.position, d.position)
-                        .normalize();
-                    
-                    d.userData.velocity.add(direction.multiplyScalar(deltaTime * 50));
-                }
-            }
-        });
+    // Start playback of a replay file picked from the main menu
+    loadReplay(json) {
+        const recording = ReplaySystem.parse(json);
+        if (!recording || recording.tickRate !== Math.round(1 / this.fixedTimeStep)) {
+            this.ui.showNotification('❌ Invalid replay', 'The file is not a supported replay', 'error');
+            this.ui.showMenu('main-menu');
+            return;
+        }
+        this.watchReplay(recording);
     }
 
-    handleInput(deltaTime) {
-        const moveSpeed = 20;
-        const boostMultiplier = 2;
-        const acceleration = new THREE.Vector3();
-        
-        // Get movement from input manager (now includes Y axis)
-        const movement = this.input.getMovementVector();
-        acceleration.x = movement.x * moveSpeed;
-        acceleration.y = movement.y * moveSpeed; // Enable vertical movement
-        acceleration.z = movement.z * moveSpeed;
-        
-        // Boost
-        if (this.input.isBoostPressed()) {
-            acceleration.multiplyScalar(boostMultiplier);
-            
-            // Boost effect (throttled)
-            if (!this.lastBoost || Date.now() - this.lastBoost > 100) {
-                const direction = acceleration.clone().normalize();
-                this.effects.createBoostEffect(this.playerPosition, direction);
-                this.audio.playBoost();
-                this.lastBoost = Date.now();
-            }
+    watchReplay(recording) {
+        if (!recording) {
+            this.ui.showNotification('❌ No replay', 'Continued runs are not recorded', 'error');
+            this.ui.showMenu('main-menu');
+            return;
         }
         
-        // Recycle (R key)
-        if (this.input.isRecyclePressed() && (!this.lastRecycle || Date.now() - this.lastRecycle > 1000)) {
-            // Harvest carried debris for resources
-            if (this.carriedDebris.length > 0) {
-                this.harvestCarriedDebris();
-                this.lastRecycle = Date.now();
-            } else {
-                // Old behavior - recycle carried mass if no debris
-                const points = this.gameState.recycle();
-                if (points > 0) {
-                    this.effects.createRecycleEffect(this.playerPosition);
-                    this.audio.playRecycle();
-                    this.ui.showNotification('♻️ Recycled!', `+${points} points`, 'normal');
-                    this.engine.updatePlayer(this.gameState.mass);
-                    this.lastRecycle = Date.now();
-                }
-            }
+        if (this.isRunning) {
+            this.quitGame(false);
         }
         
-        // Apply acceleration
-        this.playerVelocity.add(acceleration.multiplyScalar(deltaTime));
-        
-        // Apply drag
-        this.playerVelocity.multiplyScalar(0.95);
+        this.replaySpeed = 1;
+        this.replayPaused = false;
+        this.replaySeekTarget = null;
+        this.startGame(null, recording);
+        this.ui.showReplayControls(this.getPlaybackState());
     }
 
-    updatePlayer(deltaTime) {
-        // Update position
-        this.playerPosition.add(this.playerVelocity.clone().multiplyScalar(deltaTime));
-        
-        // Boundary constraints (soft)
-        const boundarySize = 100;
-        const pushBack = 0.1;
+    exitPlayback() {
+        if (!this.replay.isPlaying()) return;
+        
+        this.endSeek();
+        this.quitGame(false);
+        this.replay.clear();
+        this.sim.gameState.resumeProfile();
+        this.ui.hideReplayControls();
+        this.ui.showMenu('main-menu');
+    }
+
+    togglePlayback() {
+        if (!this.replay.isPlaying()) return;
         
-        if (Math.abs(this.playerPosition.x) > boundarySize) {
-            this.playerVelocity.x -= Math.sign(this.playerPosition.x) * pushBack;
+        // Playing from the end starts the replay over
+        if (this.replayPaused && this.isPlaybackFinished()) {
+            this.seekReplay(0);
         }
-        if (Math.abs(this.playerPosition.y) > boundarySize) {
-            this.playerVelocity.y -= Math.sign(this.playerPosition.y) * pushBack;
-        }
-        if (Math.abs(this.playerPosition.z) > boundarySize) {
-            this.playerVelocity.z -= Math.sign(this.playerPosition.z) * pushBack;
+        this.replayPaused = !this.replayPaused;
+    }
+
+    setPlaybackSpeed(speed) {
+        this.replaySpeed = speed;
+    }
+
+    // Jump to a tick: rewind to the seed if it's behind us, then fast-forward
+    seekReplay(tick) {
+        if (!this.replay.isPlaying()) return;
+        
+        const target = Math.max(0, Math.min(tick, this.replay.getLength()));
+        if (target < this.sim.tick) {
+            this.engine.particlePool.releaseAll();
+            this.effects.clear();
+            this.ui.hideOxygenWarning();
+            this.setupRun(null, this.replay.getRecording());
         }
         
-        // Update player mesh
-        if (this.player) {
-            this.player.position.copy(this.playerPosition);
+        // Skip sounds and notifications for the ticks we fast-forward through
+        if (this.replaySeekTarget === null) {
+            this.audioWasEnabled = this.audio.enabled;
+            this.audio.enabled = false;
+            this.ui.notificationsMuted = true;
         }
+        this.replaySeekTarget = target;
     }
 
-    spawnDebris(deltaTime) {
-        this.debrisSpawnTimer += deltaTime;
-        
-        // Adjust spawn rate based on difficulty
-        const spawnInterval = Math.max(0.5, this.debrisSpawnInterval - this.gameState.difficulty * 0.1);
+    endSeek() {
+        if (this.replaySeekTarget === null) return;
         
-        if (this.debrisSpawnTimer >= spawnInterval) {
-            this.debrisSpawnTimer = 0;
-            
-            const activeDebris = this.engine.debrisPool.getActive().length;
-            if (activeDebris < this.maxDebris) {
-                this.createDebris();
+        this.replaySeekTarget = null;
+        this.audio.enabled = this.audioWasEnabled;
+        this.ui.notificationsMuted = false;
+    }
+
+    // Simulation time to run this frame during playback
+    getPlaybackTime(frameTime) {
+        if (this.replaySeekTarget !== null) {
+            // Fast-forward in chunks so long seeks don't freeze the page
+            const steps = Math.min(this.replaySeekTarget - this.sim.tick, this.maxSeekStepsPerFrame);
+            if (steps <= 0) {
+                this.endSeek();
+                return 0;
             }
+            return steps * this.fixedTimeStep - this.accumulator + this.fixedTimeStep * 0.5;
         }
+        
+        if (this.replayPaused || this.isPlaybackFinished()) return 0;
+        return frameTime * this.replaySpeed;
     }
 
-    createDebris() {
-        // Random position around player
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 50 + Math.random() * 30;
-        const height = (Math.random() - 0.5) * 40;
-        
-        const position = new THREE.Vector3(
-            this.playerPosition.x + Math.cos(angle) * distance,
-            this.playerPosition.y + height,
-            this.playerPosition.z + Math.sin(angle) * distance
-        );
-        
-        // Velocity towards player with some randomness
-        const toPlayer = new THREE.Vector3()
-            .subVectors(this.playerPosition, position)
-            .normalize()
-            .multiplyScalar(2 + Math.random() * 3);
-        
-        toPlayer.add(new THREE.Vector3(
-            (Math.random() - 0.5) * 2,
-            (Math.random() - 0.5) * 2,
-            (Math.random() - 0.5) * 2
-        ));
-        
-        this.engine.spawnDebris(position, toPlayer, this.gameState.difficulty);
+    isPlaybackFinished() {
+        return this.sim.tick >= this.replay.getLength();
+    }
+
+    getPlaybackState() {
+        return {
+            tick: this.sim.tick,
+            length: this.replay.getLength(),
+            tickRate: Math.round(1 / this.fixedTimeStep),
+            paused: this.replayPaused,
+            speed: this.replaySpeed,
+            seeking: this.replaySeekTarget !== null
+        };
     }
 
-    checkCollisions() {
-        const debris = this.engine.debrisPool.getActive();
-        const playerRadius = this.player ? this.player.userData.radius : 1;
+    gameLoop(currentTime) {
+        if (!this.isRunning) return;
         
-        debris.forEach(d => {
-            // Skip debris already being carried
-            if (this.carriedDebris.includes(d)) return;
-            
-            const distance = d.position.distanceTo(this.playerPosition);
-            const debrisRadius = d.geometry.parameters.radius * d.scale.x;
+        // Real time since last frame
+        const frameTime = Math.min(Math.max((currentTime - this.lastTime) / 1000, 0), this.maxFrameTime);
+        this.lastTime = currentTime;
+        
+        // Gamepads have no events for buttons/sticks, so read them every frame
+        this.input.pollGamepad();
+        if (!this.isRunning) return;
+        
+        if (!this.isPaused) {
+            this.handleGamepadFrame(frameTime);
             
-            // Auto-grab debris when close enough
-            if (distance < this.grabRange && this.carriedDebris.length < this.maxCarriedDebris) {
-                this.carriedDebris.push(d);
-                d.userData.isCarried = true;
+            // Run as many fixed simulation steps as the elapsed time allows
+            this.accumulator += this.replay.isPlaying() ? this.getPlaybackTime(frameTime) : frameTime;
+            while (this.accumulator >= this.fixedTimeStep) {
+                this.previousPlayerPosition.copy(this.sim.player.position);
+                this.update(this.fixedTimeStep);
+                this.accumulator -= this.fixedTimeStep;
                 
-                // Small visual effect
-                this.effects.createAbsorptionEffect(
-                    d.position,
-                    this.playerPosition,
-                    d.material.color.getHex()
-                );
-                this.audio.playAbsorption(0.3);
+                // The run may have ended during this step
+                if (!this.isRunning) return;
+                
+                if (this.replay.isPlaying() && this.isPlaybackFinished()) {
+                    this.replayPaused = true;
+                    this.accumulator = 0;
+                }
             }
-        });
+            
+            // Render between the last two simulation states
+            const alpha = this.accumulator / this.fixedTimeStep;
+            this.renderFrame(frameTime, alpha);
+        }
+        
+        // Continue loop
+        this.animationFrameId = requestAnimationFrame((time) => this.gameLoop(time));
     }
 
-    absorbDebris(debris) {
-        // This function is now only used for direct absorption (kept for compatibility)
-        const debrisMass = debris.userData.mass;
-        const debrisColor = debris.material.color.getHex();
-        
-        // Create absorption effect
-        this.effects.createAbsorptionEffect(
-            debris.position,
-            this.playerPosition,
-            debrisColor
-        );
-        
-        // Play sound
-        this.audio.playAbsorption(this.gameState.mass);
+    // One fixed simulation step
+    update(deltaTime) {
+        // Input for this tick (recorded live, or read back from a replay)
+        const input = this.readTickInput();
         
-        // Add mass and check for events
-        const result = this.gameState.addMass(debrisMass * 0.5);
+        // The run may end during the step (see the run:ended listener)
+        this.sim.step(deltaTime, input);
+        if (!this.isRunning) return;
         
-        // Award resources based on debris type
-        const resourceType = Math.random();
-        if (resourceType < 0.4) {
-            this.resources.addResource('plastic', debrisMass * 0.3);
-        } else if (resourceType < 0.7) {
-            this.resources.addResource('metal', debrisMass * 0.2);
-        } else {
-            this.resources.addResource('organic', debrisMass * 0.25);
+        // Periodic autosave
+        this.autosaveTimer += deltaTime;
+        if (this.autosaveTimer >= this.autosaveInterval) {
+            this.saveRun();
         }
-        
-        // Update player size
-        this.engine.updatePlayer(this.gameState.mass);
-        this.effects.updatePlayerGlow(this.gameState.mass);
-        
-        // Handle tier up
-        if (result.tierUp) {
-            this.effects.createTierUpEffect(this.playerPosition, this.gameState.tier);
-            this.audio.playTierUp(this.gameState.tier);
-            this.ui.showTierUp(this.gameState.tier);
+    }
+
+    // Per-frame visuals; alpha is how far we are between the last two simulation steps
+    renderFrame(frameTime, alpha) {
+        // Fast-forwarding a replay makes frames slow on purpose, so don't judge quality by them
+        if (this.replaySeekTarget === null) {
+            this.quality.update(frameTime);
         }
         
-        // Handle achievements
-        if (result.achievements && result.achievements.length > 0) {
-            result.achievements.forEach(achievement => {
-                this.ui.showAchievementUnlock(achievement);
-                this.audio.playAchievement();
-            });
+        // Interpolate the player mesh so motion stays smooth at any refresh rate
+        this.renderPlayerPosition.lerpVectors(this.previousPlayerPosition, this.sim.player.position, alpha);
+        if (this.player) {
+            this.player.position.copy(this.renderPlayerPosition);
+            this.engine.updatePlayer(this.sim.gameState.mass);
         }
         
-        // Check for mission completion
-        if (this.gameState.currentMission) {
-            const previousMission = this.gameState.currentMission;
-            if (previousMission.condition()) {
-                const completed = this.gameState.completeMission();
-                if (completed) {
-                    this.ui.showMissionComplete(completed);
-                    this.audio.playMissionComplete();
-                }
-            }
+        // Update world, effects and camera
+        this.world.update(frameTime);
+        this.engine.updateVisuals(frameTime);
+        this.effects.update(frameTime);
+        this.updateCameraMode(frameTime);
+        this.engine.updateCamera(this.renderPlayerPosition, frameTime);
+        this.radar.update(this.sim, this.renderPlayerPosition, this.engine.camera.getWorldDirection(this.viewDirection));
+        this.waypoints.update(this.sim, this.renderPlayerPosition);
+        this.updatePicking(frameTime);
+        this.updatePlacementGhost();
+        
+        // Update gravity field visualization
+        this.effects.updateGravityField(
+            this.renderPlayerPosition,
+            this.sim.gravityMode,
+            this.sim.gravityRange,
+            this.sim.gravityStrength
+        );
+        
+        // Update UI
+        this.ui.updateHUD();
+        if (this.replay.isPlaying()) {
+            this.ui.updateReplayControls(this.getPlaybackState());
         }
         
-        // Remove debris
-        this.engine.debrisPool.release(debris);
+        // Render
+        this.render.render(frameTime);
     }
-    
-    // Harvest carried debris when R is pressed
-    harvestCarriedDebris() {
-        if (this.carriedDebris.length === 0) return;
-        
-        const totalDebris = this.carriedDebris.length;
-        const harvestCount = Math.ceil(totalDebris * 0.4); // 40% harvested for resources
-        const recycleCount = totalDebris - harvestCount; // 60% sent to recyclers
-        
-        let totalResources = 0;
-        let totalPoints = 0;
-        let resourceCount = 0;
-        let pollutionCount = 0;
-        
-        // Harvest portion for building resources
-        for (let i = 0; i < harvestCount && this.carriedDebris.length > 0; i++) {
-            const debris = this.carriedDebris.shift();
-            const debrisMass = debris.userData.mass;
-            const isResource = debris.userData.isResource;
-            
-            if (isResource) {
-                // Resource debris - give specific resource type and more
-                const resourceType = debris.userData.resourceType;
-                const resourceAmount = debrisMass * 5; // 5x for resources
-                
-                if (resourceType === 'organic') {
-                    this.resources.addResource('organic', resourceAmount);
-                } else if (resourceType === 'metal') {
-                    this.resources.addResource('metal', resourceAmount);
-                } else if (resourceType === 'plastic') {
-                    this.resources.addResource('plastic', resourceAmount);
-                } else if (resourceType === 'seeds') {
-                    this.resources.addResource('seeds', Math.floor(resourceAmount * 0.5));
-                }
-                
-                totalResources += resourceAmount;
-                resourceCount++;
-                
-                // Bigger effect for resources
-                this.effects.createRecycleEffect(debris.position);
-                this.engine.spawnParticles(debris.position, 15, debris.material.color.getHex());
-            } else {
-                // Pollution debris - minimal resources, needs recycling
-                const resourceAmount = debrisMass * 0.5; // Only 0.5x for pollution
-                
-                // Pollution just gives small random resources
-                const resourceType = Math.random();
-                if (resourceType < 0.5) {
-                    this.resources.addResource('plastic', resourceAmount);
-                } else {
-                    this.resources.addResource('metal', resourceAmount * 0.5);
-                }
-                
-                totalResources += resourceAmount;
-                pollutionCount++;
-            }
-            
-            // Remove debris
-            this.engine.debrisPool.release(debris);
+
+    // Show the player's camera mode, or the cinematic orbit once nobody has touched a control
+    // for a while (replays are left alone, as watching one is idle by nature)
+    updateCameraMode(frameTime) {
+        // Held touch controls send no events, so count movement as activity too
+        const move = this.input.getMovementVector();
+        if (move.x !== 0 || move.y !== 0 || move.z !== 0) {
+            this.input.markActivity();
         }
         
-        // Remaining debris automatically seeks nearest recycler
-        this.carriedDebris.forEach(debris => {
-            debris.userData.seekingRecycler = true;
-            debris.userData.isCarried = false;
-        });
-        this.carriedDebris = [];
-        
-        // Show notification
-        this.effects.createRecycleEffect(this.playerPosition);
-        this.audio.playRecycle();
+        const idle = !this.replay.isPlaying() && this.input.getIdleTime() >= this.idleCinematicDelay;
+        this.engine.setCameraMode(idle ? CameraMode.CINEMATIC : this.cameraMode);
         
-        let message = `+${Math.floor(totalResources)} resources`;
-        if (resourceCount > 0) {
-            message += ` (${resourceCount} 🌟 resources!)`;
+        // Movement keys fly the free camera (the player holds still, see readTickInput)
+        if (this.engine.getCameraMode() === CameraMode.FREE) {
+            this.engine.moveFreeCamera(move, this.input.isBoostPressed(), frameTime);
         }
-        if (pollutionCount > 0) {
-            message += ` (${pollutionCount} pollution)`;
+    }
+    
+    setCameraMode(mode) {
+        this.cameraMode = mode;
+        this.engine.setCameraMode(mode);
+    }
+    
+    cycleCameraMode() {
+        const modes = Object.values(CameraMode);
+        const next = modes[(modes.indexOf(this.cameraMode) + 1) % modes.length];
+        
+        // Picking a mode by hand keeps it after build mode ends
+        this.modeBeforeBuild = null;
+        this.setCameraMode(next);
+        this.ui.showNotification('🎥 Camera', CAMERA_MODES[next].name, 'normal');
+    }
+
+    // Screen position picking aims at: the mouse, or the centre while it is captured for mouse look
+    // (and for gamepads, which have no pointer)
+    getPointerPosition() {
+        if (this.display.isPointerLocked() || this.input.activeDevice === 'gamepad') {
+            return { x: window.innerWidth / 2, y: window.innerHeight / 2 };
         }
-        
-        this.ui.showNotification(
-            '♻️ Harvested!', 
-            `${message} | ${recycleCount} to recyclers`, 
-            'success'
-        );
+        return this.input.getMousePosition();
     }
     
-    // Old grab method removed - now auto-grabs
-    grabNearbyDebris() {
-        // Functionality merged into checkCollisions for auto-grab
+    // A press and release without dragging in between (the press that captures the mouse doesn't count)
+    isClick(e) {
+        const start = this.clickStart;
+        this.clickStart = null;
+        if (!start || (this.display.mouseLook && !start.locked)) return false;
+        
+        return Math.abs(e.clientX - start.x) <= this.clickTolerance &&
+            Math.abs(e.clientY - start.y) <= this.clickTolerance;
     }
     
-    updateCarriedDebris(deltaTime) {
-        // Remove any debris that was absorbed or destroyed
-        this.carriedDebris = this.carriedDebris.filter(d => 
-            this.engine.debrisPool.getActive().includes(d)
-        );
-        
-        // Update positions of carried debris to orbit around player
-        this.carriedDebris.forEach((debris, index) => {
-            const angle = (index / this.carriedDebris.length) * Math.PI * 2 + this.gameTime;
-            const orbitRadius = 3 + this.player.userData.radius;
-            const height = Math.sin(this.gameTime * 2 + index) * 1.5;
-            
-            const targetX = this.playerPosition.x + Math.cos(angle) * orbitRadius;
-            const targetY = this.playerPosition.y + height;
-            const targetZ = this.playerPosition.z + Math.sin(angle) * orbitRadius;
-            
-            const targetPos = new THREE.Vector3(targetX, targetY, targetZ);
-            
-            // Smoothly move debris to target position
-            debris.position.lerp(targetPos, deltaTime * 5);
-            
-            // Zero out velocity while carried
-            debris.userData.velocity.set(0, 0, 0);
-            
-            // Rotate carried debris
-            debris.rotation.x += deltaTime * 2;
-            debris.rotation.y += deltaTime * 2;
+    selectAt({ x, y }) {
+        this.select(this.picking.pick(x, y));
+    }
+    
+    select(pick) {
+        this.selected = pick;
+        this.ui.showInspector(pick ? this.describePick(pick) : null);
+    }
+    
+    describePick(pick) {
+        return this.picking.describe(pick, {
+            confirmDemolish: this.isDemolishPending(pick.entity),
+            moving: this.relocating === pick.entity
         });
     }
     
-    processRecyclerAbsorption(debris, recycler, seeking = false) {
-        // Trigger absorption effect in engine
-        const debrisData = this.engine.absorbDebris(debris, recycler);
-        
-        // Remove from carried debris array
-        const index = this.carriedDebris.indexOf(debris);
-        if (index > -1) {
-            this.carriedDebris.splice(index, 1);
+    // Hover highlight and a live inspector (entities move, zones heal, debris gets absorbed)
+    updatePicking(frameTime) {
+        const pointer = this.getPointerPosition();
+        this.hovered = this.isDragging || this.buildMode || this.relocating || this.input.activeDevice === 'touch'
+            ? null
+            : this.picking.pick(pointer.x, pointer.y);
+        this.container.style.cursor = this.hovered && !this.display.isPointerLocked() ? 'pointer' : '';
+        
+        if (this.selected && !this.picking.exists(this.selected)) {
+            this.select(null);
+        } else if (this.selected) {
+            this.ui.showInspector(this.describePick(this.selected));
         }
         
-        // Award resources and points for seeking debris
-        if (seeking) {
-            const debrisMass = debrisData.mass;
-            const isResource = debris.userData.isResource;
-            
-            if (isResource) {
-                // Resources are better harvested than recycled
-                const resourceAmount = debrisMass * 2;
-                const resourceType = debris.userData.resourceType;
-                
-                if (resourceType === 'organic') {
-                    this.resources.addResource('organic', resourceAmount);
-                } else if (resourceType === 'metal') {
-                    this.resources.addResource('metal', resourceAmount);
-                } else if (resourceType === 'plastic') {
-                    this.resources.addResource('plastic', resourceAmount);
-                } else if (resourceType === 'seeds') {
-                    this.resources.addResource('seeds', Math.floor(resourceAmount * 0.5));
-                }
-                
-                this.gameState.addScore(Math.floor(debrisMass * 10));
-            } else {
-                // Pollution gives more when recycled properly - this is the main gameplay loop!
-                const resourceAmount = debrisMass * 3; // 3x for pollution recycling
-                
-                // Pollution recycling gives random resources
-                const resourceType = Math.random();
-                if (resourceType < 0.3) {
-                    this.resources.addResource('plastic', resourceAmount);
-                } else if (resourceType < 0.6) {
-                    this.resources.addResource('metal', resourceAmount);
-                } else if (resourceType < 0.9) {
-                    this.resources.addResource('organic', resourceAmount);
-                } else {
-                    this.resources.addResource('seeds', Math.floor(resourceAmount * 0.5));
-                }
-                
-                // Big points for recycling pollution!
-                this.gameState.addScore(Math.floor(debrisMass * 20));
-            }
-            
-            // Play sound (quieter for seeking debris)
-            this.audio.playRecycle();
-        }
+        const outline = pick => pick && { position: pick.entity.position, radius: this.picking.getRadius(pick) };
+        this.world.setHighlights(outline(this.hovered), outline(this.selected), frameTime);
     }
     
-    // Gravity field methods
-    cycleGravityMode() {
-        const modes = ['neutral', 'attract', 'repel'];
-        const currentIndex = modes.indexOf(this.gravityMode);
-        this.gravityMode = modes[(currentIndex + 1) % modes.length];
-        
-        // Visual and audio feedback
-        const modeNames = {
-            'neutral': '⚪ Neutral Field',
-            'attract': '🔵 Attract Field',
-            'repel': '🔴 Repel Field'
-        };
+    // Continuous gamepad controls: right stick orbits the camera, D-pad up/down zooms
+    // (or adjusts gravity strength while LB is held)
+    handleGamepadFrame(frameTime) {
+        const look = this.input.getStick('right');
+        if (look.x !== 0 || look.y !== 0) {
+            const speed = this.gamepadLookSpeed * frameTime;
+            this.dispatchCommand('camera', -look.x * speed, -look.y * speed);
+        }
         
-        this.ui.showNotification(modeNames[this.gravityMode], 'Gravity mode changed', 'normal');
-        this.audio.playBoost(); // Use boost sound for mode change
+        const dpad = (this.input.isGamepadButtonPressed(GamepadButton.DPAD_DOWN) ? 1 : 0) -
+            (this.input.isGamepadButtonPressed(GamepadButton.DPAD_UP) ? 1 : 0);
+        if (dpad === 0) return;
         
-        console.log(`Gravity mode: ${this.gravityMode}`);
+        if (this.input.isGamepadButtonPressed(GamepadButton.LB)) {
+            const strength = this.sim.gravityStrength - dpad * this.gamepadGravitySpeed * frameTime;
+            this.dispatchCommand('strength', Math.max(5, Math.min(50, strength)));
+        } else {
+            this.dispatchCommand('zoom', dpad * this.gamepadZoomSpeed * frameTime);
+        }
     }
-    
-    applyGravityField(deltaTime) {
-        if (this.gravityMode === 'neutral') return;
-        
-        const debris = this.engine.debrisPool.getActive();
-        const isAttract = this.gravityMode === 'attract';
+
+    // Input state for the next tick; commands recorded before it are applied first
+    readTickInput() {
+        if (this.replay.isPlaying()) {
+            this.replay.getEvents(this.sim.tick).forEach(event => {
+                this.applyCommand(event.type, event.args);
+            });
+            return this.replay.getFrame(this.sim.tick);
+        }
         
-        debris.forEach(d => {
-            // Skip debris being carried or seeking recycler
-            if (this.carriedDebris.includes(d) || d.userData.seekingRecycler) return;
-            
-            const toPlayer = new THREE.Vector3().subVectors(this.playerPosition, d.position);
-            const distance = toPlayer.length();
-            
-            // Only affect debris within range
-            if (distance < this.gravityRange && distance > 0.1) {
-                // Gravity falls off with distance (inverse square law)
-                const falloff = 1 - (distance / this.gravityRange);
-                const strength = this.gravityStrength * falloff * falloff;
-                
-                // Normalize direction and apply force
-                toPlayer.normalize();
-                const force = toPlayer.multiplyScalar(strength * deltaTime);
-                
-                // Apply force (attract or repel)
-                if (isAttract) {
-                    d.userData.velocity.add(force);
-                } else {
-                    d.userData.velocity.sub(force);
-                }
-            }
-        });
+        // While the free camera flies, the movement keys are the camera's
+        const input = this.cameraMode === CameraMode.FREE
+            ? { move: { x: 0, y: 0, z: 0 }, boost: false, recycle: false }
+            : this.input.getTickInput();
+        this.replay.recordFrame(this.sim.tick, input);
+        return input;
     }
-    
+
     handleZoom(delta) {
         // Get current camera distance
         const currentDistance = this.engine.getCameraDistance();
@@ -888,93 +1158,257 @@ class GravshiftGame {
     // Building mode methods
     toggleBuildMode() {
         this.buildMode = !this.buildMode;
-        const buildUI = document.getElementById('build-ui');
-        if (buildUI) {
-            buildUI.style.display = this.buildMode ? 'block' : 'none';
+        this.ui.setBuildMode(this.buildMode);
+        if (this.buildMode) {
+            this.relocating = null;
+        }
+        
+        // Optionally look down on the world while building, and back out afterwards
+        if (this.buildMode && this.engine.cameraController.tacticalInBuildMode &&
+            this.cameraMode !== CameraMode.TACTICAL) {
+            this.modeBeforeBuild = this.cameraMode;
+            this.setCameraMode(CameraMode.TACTICAL);
+        } else if (!this.buildMode && this.modeBeforeBuild) {
+            this.setCameraMode(this.modeBeforeBuild);
+            this.modeBeforeBuild = null;
         }
         console.log(`Build mode: ${this.buildMode ? 'ON' : 'OFF'}`);
     }
     
     selectBuilding(type) {
         this.selectedBuildingType = type;
-        const config = BUILDING_CONFIGS[type];
-        console.log(`Selected: ${config.name}`);
+        if (type) {
+            console.log(`Selected: ${BUILDING_CONFIGS[type].name}`);
+        }
         
         // Update UI to show selection
-        document.querySelectorAll('#build-ui .building-option').forEach(el => {
-            el.classList.remove('selected');
-        });
-        const option = document.querySelector(`#build-ui .building-option[data-type="${type}"]`);
-        if (option) {
-            option.classList.add('selected');
+        this.ui.setSelectedBuilding(type);
+    }
+    
+    // Where a building would go: under the mouse (or the aim point) at the player's
+    // height, or for trees on the surface of the zone under the mouse or nearest to it.
+    // A building being moved doesn't block itself and costs nothing.
+    // Returns { position, valid, reason } (reason: 'blocked' or 'cost'), or null if there's no spot
+    computePlacement(type = this.selectedBuildingType, moving = null) {
+        if (!type) return null;
+        
+        const pointer = this.getPointerPosition();
+        const ray = this.picking.setFromScreen(pointer.x, pointer.y);
+        const aimPoint = this.getAimPoint(ray);
+        const position = type === BuildingType.TREE
+            ? this.findZoneSurfacePosition(ray, aimPoint)
+            : aimPoint;
+        if (!position) return null;
+        
+        let reason = null;
+        if (!this.sim.buildings.isPositionValid(position, this.sim.buildings.minBuildingDistance, moving)) {
+            reason = 'blocked';
+        } else if (!moving && !this.sim.resources.canAfford(BUILDING_CONFIGS[type].cost)) {
+            reason = 'cost';
+        }
+        return { position, valid: reason === null, reason };
+    }
+    
+    // Where the ray crosses the player's height, kept within reach of the player
+    getAimPoint(ray) {
+        const player = this.sim.player.position;
+        this.placementPlane.constant = -player.y;
+        
+        const point = ray.intersectPlane(this.placementPlane, new THREE.Vector3());
+        if (!point) {
+            // Looking away from the plane: straight ahead of the camera instead
+            const direction = ray.direction.clone().setY(0);
+            if (direction.lengthSq() === 0) direction.set(0, 0, -1);
+            return player.clone().add(direction.normalize().multiplyScalar(10));
+        }
+        
+        const offset = point.sub(player);
+        if (offset.length() > this.maxPlacementDistance) {
+            offset.setLength(this.maxPlacementDistance);
         }
+        return offset.add(player);
     }
     
-    tryPlaceBuilding() {
+    // The zone surface under the ray, or the nearest zone's surface towards the aim point
+    findZoneSurfacePosition(ray, aimPoint) {
+        const zones = this.sim.environment.getZones();
+        const sphere = new THREE.Sphere();
+        let nearestHit = null;
+        let nearestHitDistance = Infinity;
+        
+        zones.forEach(zone => {
+            sphere.set(zone.position, zone.radius);
+            const hit = ray.intersectSphere(sphere, new THREE.Vector3());
+            const distance = hit && hit.distanceTo(ray.origin);
+            if (hit && distance < nearestHitDistance) {
+                nearestHitDistance = distance;
+                nearestHit = hit;
+            }
+        });
+        if (nearestHit) return nearestHit;
+        
+        return this.findNearestZonePosition(aimPoint);
+    }
+    
+    // Place a building where the preview shows it, as a command
+    // (the position depends on the camera, so replays record it rather than recompute it)
+    requestPlacement() {
         if (!this.selectedBuildingType) return;
+        
+        const placement = this.computePlacement();
+        if (!placement) {
+            this.ui.showNotification('❌ No zone nearby', 'Trees must be placed on environmental zones', 'error');
+            return;
+        }
+        
+        const { position } = placement;
+        this.dispatchCommand('place', position.x, position.y, position.z, this.placementRotation);
+    }
+    
+    // Turn the building about to be placed (T, or LB + D-pad on a gamepad)
+    rotatePlacement(direction) {
+        if (!this.isRunning || this.isPaused || (!this.buildMode && !this.relocating)) return;
+        
+        this.placementRotation = (this.placementRotation + direction * this.placementRotationStep + Math.PI * 2) % (Math.PI * 2);
+    }
+    
+    // Keep the placement preview under the mouse while building or moving a building
+    updatePlacementGhost() {
+        // Stop moving a building that has been demolished meanwhile
+        if (this.relocating && this.sim.buildings.getBuilding(this.relocating.id) !== this.relocating) {
+            this.relocating = null;
+        }
+        
+        const moving = this.relocating;
+        const type = moving?.type ??
+            (this.buildMode && !this.replay.isPlaying() ? this.selectedBuildingType : null);
+        const placement = type ? this.computePlacement(type, moving) : null;
+        
+        this.world.setPlacementGhost(type, placement, this.placementRotation);
+        if (this.buildMode) {
+            this.ui.setPlacementStatus(type ? (placement?.reason ?? (placement ? 'ok' : 'noZone')) : null);
+        }
+    }
 
-        const config = BUILDING_CONFIGS[this.selectedBuildingType];
+    // Step through building types (gamepad D-pad)
+    cycleBuildingSelection(direction) {
+        if (!this.isRunning || this.isPaused || !this.buildMode) return;
+        
+        const types = Object.values(BuildingType);
+        const current = types.indexOf(this.selectedBuildingType);
+        const next = current === -1
+            ? (direction > 0 ? 0 : types.length - 1)
+            : (current + direction + types.length) % types.length;
+        this.dispatchCommand('select', types[next]);
+    }
 
-        // Check if player can afford it
-        if (!this.resources.canAfford(config.cost)) {
-            console.log('Not enough resources!');
-            this.ui.showNotification('❌ Not enough resources', '', 'error');
+    // The building being inspected, or failing that the nearest one in reach
+    getBuildingTarget() {
+        if (this.selected?.kind === PickKind.BUILDING) {
+            return this.selected.entity;
+        }
+        return this.sim.buildings.getNearestBuilding(this.sim.player.position, this.buildingActionRange);
+    }
+
+    requestUpgrade() {
+        if (!this.isRunning || this.isPaused || this.replay.isPlaying()) return;
+
+        const building = this.getBuildingTarget();
+        if (!building) {
+            this.ui.showNotification('⬆️ Nothing to upgrade', 'Select a building or move closer to one', 'error');
             return;
         }
+        this.dispatchCommand('upgrade', building.id);
+    }
 
-        let placePosition;
+    // Pick up a building to put it down somewhere else, or put the move off
+    toggleRelocation() {
+        if (!this.isRunning || this.isPaused || this.replay.isPlaying()) return;
 
-        // Special handling for trees - snap to zone surface
-        if (this.selectedBuildingType === BuildingType.TREE) {
-            placePosition = this.findNearestZonePosition();
-            if (!placePosition) {
-                this.ui.showNotification('❌ No zone nearby', 'Trees must be placed on environmental zones', 'error');
-                return;
-            }
-        } else {
-            // Calculate placement position in front of player for other buildings
-            const camera = this.engine.camera;
-            const direction = new THREE.Vector3();
-            camera.getWorldDirection(direction);
-            direction.y = 0; // Keep on ground plane
-            direction.normalize();
+        if (this.relocating) {
+            this.relocating = null;
+            this.ui.showNotification('📦 Move cancelled', '', 'normal');
+            return;
+        }
+
+        const building = this.getBuildingTarget();
+        if (!building) {
+            this.ui.showNotification('📦 Nothing to move', 'Select a building or move closer to one', 'error');
+            return;
+        }
+
+        if (this.buildMode) {
+            this.dispatchCommand('build');
+        }
+        this.relocating = building;
+        this.placementRotation = building.rotation;
+        this.ui.showNotification(`📦 Moving ${building.config.name}`, 'Click to put it down · T to rotate · V to cancel', 'normal');
+    }
+
+    // Put the building being moved where the preview shows it, as a command
+    requestRelocation() {
+        const building = this.relocating;
+        const placement = this.computePlacement(building.type, building);
+        if (!placement) {
+            this.ui.showNotification('❌ No zone nearby', 'Trees must be placed on environmental zones', 'error');
+            return;
+        }
 
-            placePosition = this.playerPosition.clone()
-                .add(direction.multiplyScalar(10));
-            // Keep building at player's current height instead of forcing to ground
+        const { position } = placement;
+        this.dispatchCommand('relocate', building.id, position.x, position.y, position.z, this.placementRotation);
+    }
+
+    // Demolishing takes two presses on the same building within a few seconds
+    requestDemolish() {
+        if (!this.isRunning || this.isPaused || this.replay.isPlaying()) return;
+
+        const building = this.getBuildingTarget();
+        if (!building) {
+            this.ui.showNotification('🗑️ Nothing to demolish', 'Select a building or move closer to one', 'error');
+            return;
+        }
+
+        if (this.isDemolishPending(building)) {
+            this.pendingDemolish = null;
+            this.dispatchCommand('demolish', building.id);
+            return;
         }
 
-        // Try to place building
-        const building = this.buildings.placeBuilding(
-            this.selectedBuildingType,
-            placePosition
+        this.pendingDemolish = { building, expires: performance.now() + this.demolishConfirmTime };
+        const refund = Object.entries(this.sim.getRefund(building)).map(([type, amount]) => `${amount} ${type}`).join(', ');
+        this.ui.showNotification(
+            `⚠️ Demolish ${building.config.name}?`,
+            `Press again to confirm (refund: ${refund || 'nothing'})`,
+            'error'
         );
+    }
 
-        if (building) {
-            // Deduct resources
-            this.resources.deductCosts(config.cost);
-            console.log(`Placed ${config.name}!`);
-            this.ui.showNotification(`✅ ${config.name} placed`, config.effect, 'success');
-            this.audio.playAbsorption(1); // Use absorption sound for building placement
-        } else {
-            console.log('Cannot place building here - too close to another building!');
-            this.ui.showNotification('❌ Cannot place here', 'Too close to another building', 'error');
+    isDemolishPending(building) {
+        const pending = this.pendingDemolish;
+        return Boolean(pending) && pending.building === building && performance.now() < pending.expires;
+    }
+
+    requestUndo() {
+        if (!this.isRunning || this.isPaused || this.replay.isPlaying()) return;
+
+        if (!this.sim.getUndoablePlacement()) {
+            this.ui.showNotification('↩️ Nothing to undo', `Placements can be undone for ${this.sim.undoWindow} seconds`, 'error');
+            return;
         }
+        this.dispatchCommand('undo');
     }
 
-    findNearestZonePosition() {
-        // Get all zones
-        const zones = this.environment.getZones();
-        if (zones.length === 0) return null;
+    tryPlaceBuilding(placePosition, rotation = 0) {
+        if (!this.selectedBuildingType) return;
 
-        // Calculate target position in front of player
-        const camera = this.engine.camera;
-        const direction = new THREE.Vector3();
-        camera.getWorldDirection(direction);
-        direction.normalize();
+        this.sim.placeBuilding(this.selectedBuildingType, placePosition, rotation);
+    }
 
-        const targetPosition = this.playerPosition.clone()
-            .add(direction.multiplyScalar(15));
+    // Surface point of the zone nearest to a target position (within 20 units of its surface)
+    findNearestZonePosition(targetPosition) {
+        // Get all zones
+        const zones = this.sim.environment.getZones();
+        if (zones.length === 0) return null;
 
         // Find nearest zone to target position
         let nearestZone = null;
@@ -1004,54 +1438,13 @@ class GravshiftGame {
     }
     
     updateResourceDisplay(resources) {
-        const resourcesEl = document.getElementById('resources');
-        if (resourcesEl) {
-            resourcesEl.innerHTML = `
-                <div class="resource-item">
-                    <span class="resource-icon">🔷</span>
-                    <span class="resource-label">Plastic:</span>
-                    <span class="resource-value">${Math.floor(resources.plastic)}</span>
-                </div>
-                <div class="resource-item">
-                    <span class="resource-icon">⚙️</span>
-                    <span class="resource-label">Metal:</span>
-                    <span class="resource-value">${Math.floor(resources.metal)}</span>
-                </div>
-                <div class="resource-item">
-                    <span class="resource-icon">🌿</span>
-                    <span class="resource-label">Organic:</span>
-                    <span class="resource-value">${Math.floor(resources.organic)}</span>
-                </div>
-                <div class="resource-item">
-                    <span class="resource-icon">🌱</span>
-                    <span class="resource-label">Seeds:</span>
-                    <span class="resource-value">${Math.floor(resources.seeds)}</span>
-                </div>
-                <div class="resource-item ${resources.oxygen < 30 ? 'low-oxygen' : ''}">
-                    <span class="resource-icon">💨</span>
-                    <span class="resource-label">Oxygen:</span>
-                    <span class="resource-value">${Math.floor(resources.oxygen)}%</span>
-                </div>
-            `;
-        }
+        this.ui.updateResources(resources);
         
         // Update building costs display
         if (this.buildMode) {
-            this.updateBuildingCostsDisplay(resources);
+            this.ui.updateBuildingCosts(type => this.sim.resources.canAfford(BUILDING_CONFIGS[type].cost));
         }
     }
-    
-    updateBuildingCostsDisplay(resources) {
-        Object.values(BuildingType).forEach(type => {
-            const config = BUILDING_CONFIGS[type];
-            const option = document.querySelector(`#build-ui .building-option[data-type="${type}"]`);
-            if (option) {
-                const canAfford = this.resources.canAfford(config.cost);
-                option.classList.toggle('affordable', canAfford);
-                option.classList.toggle('unaffordable', !canAfford);
-            }
-        });
-    }
 }
 
 // Initialize game when DOM is loaded